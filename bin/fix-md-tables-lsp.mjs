@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * Language server entry point for fix-md-tables (LSP over stdio)
+ *
+ * Usage: fix-md-tables-lsp
+ *        Configure your editor to start `npx fix-md-tables-lsp` for markdown files.
+ *        Provides formatting, range formatting, diagnostics and code actions for tables.
+ */
+
+import { startServer } from "../lib/lsp.mjs";
+
+process.exitCode = await startServer();
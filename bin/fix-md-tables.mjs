@@ -2,13 +2,26 @@
 /**
  * CLI entry point for fix-md-tables
  *
- * Usage: fix-md-tables [--clean] [file.md|file.mdx...]
+ * Usage: fix-md-tables [--clean|--format|--mode fix|clean|format] [--check|--dry-run|--diff] [--config <path>|--no-config]
+ *                      [--ext <exts>] [--include <glob>] [--exclude <glob>] [--no-ignore] [--watch]
+ *                      [--end-of-line auto|lf|crlf|cr] [--target vscode|github|terminal|custom]
+ *                      [--staged|--changed-since <ref>] [--reporter json|github|sarif]
+ *                      [--lint [--fix] [--rule <rule-id>=<error|warning|off>]]
+ *                      [--stdin [--stdin-filepath <path>]] [file.md|file.mdx|dir|glob...]
  *        npx fix-md-tables
  *        npx fix-md-tables --clean  # Remove ideographic spaces (run before Prettier)
+ *        npx fix-md-tables --format # Re-pad tables by display width (no Prettier)
+ *        npx fix-md-tables --check  # Report misaligned tables, exit 1 if any
+ *        npx fix-md-tables --diff   # Print a unified diff of the changes, write nothing
+ *        npx fix-md-tables --staged # Fix staged files and re-stage them (pre-commit hook)
+ *        npx fix-md-tables --check --reporter github # GitHub Actions annotations
+ *        npx fix-md-tables --lint   # Report broken tables by rule (--fix applies autofixes)
+ *        npx fix-md-tables --watch  # Re-fix files whenever they change
+ *        npx fix-md-tables --stdin < in.md > out.md # Filter stdin to stdout
  *        bunx fix-md-tables
  */
 
 import { run } from "../lib/index.mjs";
 
-run(process.argv.slice(2));
+await run(process.argv.slice(2));
 
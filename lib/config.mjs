@@ -0,0 +1,252 @@
+/**
+ * Project configuration loading for fix-md-tables.
+ *
+ * Settings are read from the first of these found in the working directory or its parents:
+ * - .fixmdtablesrc / .fixmdtablesrc.json (JSON)
+ * - fix-md-tables.config.mjs (default export)
+ * - a "fix-md-tables" key in package.json
+ *
+ * Example:
+ *   {
+ *     "include": ["**\/*.md", "packages/*\/docs/**"],
+ *     "exclude": ["CHANGELOG.md", "vendor/"],
+ *     "ignoreFiles": [".gitignore", ".prettierignore", ".fixmdtablesignore"],
+ *     "extensions": [".markdown", ".mdown"],
+ *     "mode": "fix",
+ *     "endOfLine": "auto",
+ *     "target": "custom",
+ *     "customTarget": { "emojiWidth": 2, "ideographicSpaceWidth": 2, "strategy": "difference" },
+ *     "compensation": { "baseCompensation": 2, "capPlainCells": true },
+ *     "lint": { "column-count": "error", "stray-ideographic-space": "off" }
+ *   }
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { DEFAULT_IGNORE_FILES } from "./ignore.mjs";
+import { DEFAULT_TARGET, STRATEGIES, TARGET_NAMES } from "./targets.mjs";
+
+export const CONFIG_FILES = [".fixmdtablesrc", ".fixmdtablesrc.json", "fix-md-tables.config.mjs"];
+export const PACKAGE_JSON_KEY = "fix-md-tables";
+
+const MODE_NAMES = ["fix", "clean", "format"];
+const END_OF_LINE_NAMES = ["auto", "lf", "crlf", "cr"];
+const COMPENSATION_OPTIONS = { baseCompensation: "number", capPlainCells: "boolean" };
+const LINT_SEVERITY_NAMES = ["error", "warning", "off"];
+const CUSTOM_TARGET_OPTIONS = { emojiWidth: "number", ideographicSpaceWidth: "number", strategy: "string" };
+const CONFIG_KEYS = new Set(["include", "exclude", "ignoreFiles", "extensions", "mode", "endOfLine", "target", "customTarget", "compensation", "lint"]);
+
+/** Default configuration: built-in discovery (root + docs/), .md/.mdx only, fix mode, line endings kept, vscode target */
+export function getDefaultConfig() {
+  return {
+    filepath: null,
+    root: null,
+    include: [],
+    exclude: [],
+    ignoreFiles: [...DEFAULT_IGNORE_FILES],
+    extensions: [],
+    mode: "fix",
+    endOfLine: "auto",
+    target: DEFAULT_TARGET,
+    customTarget: {},
+    compensation: {},
+    lint: {},
+  };
+}
+
+/** Check that a value is an array of strings */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
+
+/** Validate compensation options, throwing on unknown keys or wrong types */
+function validateCompensation(compensation, source) {
+  if (typeof compensation !== "object" || compensation === null || Array.isArray(compensation)) {
+    throw new Error(`${source}: "compensation" must be an object`);
+  }
+  for (const [key, value] of Object.entries(compensation)) {
+    if (!Object.hasOwn(COMPENSATION_OPTIONS, key)) {
+      throw new Error(`${source}: unknown compensation option "${key}"`);
+    }
+    if (typeof value !== COMPENSATION_OPTIONS[key]) {
+      throw new Error(`${source}: compensation option "${key}" must be a ${COMPENSATION_OPTIONS[key]}`);
+    }
+  }
+  return { ...compensation };
+}
+
+/** Validate the custom target profile: known keys, positive widths and a built-in strategy */
+function validateCustomTarget(customTarget, source) {
+  if (typeof customTarget !== "object" || customTarget === null || Array.isArray(customTarget)) {
+    throw new Error(`${source}: "customTarget" must be an object`);
+  }
+  for (const [key, value] of Object.entries(customTarget)) {
+    if (!Object.hasOwn(CUSTOM_TARGET_OPTIONS, key)) {
+      throw new Error(`${source}: unknown customTarget option "${key}"`);
+    }
+    if (typeof value !== CUSTOM_TARGET_OPTIONS[key]) {
+      throw new Error(`${source}: customTarget option "${key}" must be a ${CUSTOM_TARGET_OPTIONS[key]}`);
+    }
+    if (typeof value === "number" && !(value > 0)) {
+      throw new Error(`${source}: customTarget option "${key}" must be positive`);
+    }
+  }
+  if (customTarget.strategy !== undefined && !Object.hasOwn(STRATEGIES, customTarget.strategy)) {
+    throw new Error(`${source}: customTarget "strategy" must be one of ${Object.keys(STRATEGIES).join(", ")}`);
+  }
+  if (customTarget.strategy === "none") {
+    const width = ["emojiWidth", "ideographicSpaceWidth"].find((key) => customTarget[key] !== undefined);
+    if (width) {
+      throw new Error(`${source}: customTarget "${width}" has no effect with strategy "none"`);
+    }
+  }
+  return { ...customTarget };
+}
+
+/** Validate lint rule severities (rule IDs are checked by lint.mjs when linting) */
+function validateLint(lint, source) {
+  if (typeof lint !== "object" || lint === null || Array.isArray(lint)) {
+    throw new Error(`${source}: "lint" must be an object`);
+  }
+  for (const [rule, severity] of Object.entries(lint)) {
+    if (!LINT_SEVERITY_NAMES.includes(severity)) {
+      throw new Error(`${source}: lint rule "${rule}" must be one of ${LINT_SEVERITY_NAMES.join(", ")}`);
+    }
+  }
+  return { ...lint };
+}
+
+/** Ensure an extension starts with a dot: "markdown" → ".markdown" */
+function normalizeExtension(extension) {
+  return extension.startsWith(".") ? extension : `.${extension}`;
+}
+
+/**
+ * Validate a raw config object and merge it over the defaults.
+ * `source` (usually the config file path) is used in error messages.
+ */
+export function normalizeConfig(raw, source = "config") {
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    throw new Error(`${source}: configuration must be an object`);
+  }
+
+  const unknownKeys = Object.keys(raw).filter((key) => !CONFIG_KEYS.has(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`${source}: unknown option(s) ${unknownKeys.map((key) => `"${key}"`).join(", ")}`);
+  }
+
+  const config = getDefaultConfig();
+  for (const key of ["include", "exclude", "ignoreFiles", "extensions"]) {
+    if (raw[key] !== undefined) {
+      if (!isStringArray(raw[key])) {
+        throw new Error(`${source}: "${key}" must be an array of strings`);
+      }
+      config[key] = [...raw[key]];
+    }
+  }
+  config.extensions = config.extensions.map(normalizeExtension);
+
+  if (raw.mode !== undefined) {
+    if (!MODE_NAMES.includes(raw.mode)) {
+      throw new Error(`${source}: "mode" must be one of ${MODE_NAMES.join(", ")}`);
+    }
+    config.mode = raw.mode;
+  }
+
+  if (raw.endOfLine !== undefined) {
+    if (!END_OF_LINE_NAMES.includes(raw.endOfLine)) {
+      throw new Error(`${source}: "endOfLine" must be one of ${END_OF_LINE_NAMES.join(", ")}`);
+    }
+    config.endOfLine = raw.endOfLine;
+  }
+
+  if (raw.target !== undefined) {
+    if (!TARGET_NAMES.includes(raw.target)) {
+      throw new Error(`${source}: "target" must be one of ${TARGET_NAMES.join(", ")}`);
+    }
+    config.target = raw.target;
+  }
+
+  if (raw.customTarget !== undefined) {
+    config.customTarget = validateCustomTarget(raw.customTarget, source);
+  }
+
+  if (raw.compensation !== undefined) {
+    config.compensation = validateCompensation(raw.compensation, source);
+  }
+
+  if (raw.lint !== undefined) {
+    config.lint = validateLint(raw.lint, source);
+  }
+
+  return config;
+}
+
+/** Read and parse a JSON file, prefixing parse errors with the file path */
+function readJsonFile(filepath) {
+  try {
+    return JSON.parse(fs.readFileSync(filepath, "utf8"));
+  } catch (err) {
+    throw new Error(`${filepath}: ${err.message}`);
+  }
+}
+
+/** Read the raw settings object from a config file (JSON, .mjs, or package.json key) */
+async function readConfigFile(filepath) {
+  if (filepath.endsWith(".mjs") || filepath.endsWith(".js")) {
+    const module = await import(pathToFileURL(filepath).href);
+    return module.default;
+  }
+  const json = readJsonFile(filepath);
+  return path.basename(filepath) === "package.json" ? json[PACKAGE_JSON_KEY] : json;
+}
+
+/** Check if a package.json in dir has a "fix-md-tables" key */
+function hasPackageJsonConfig(dir) {
+  const packageJsonPath = path.join(dir, "package.json");
+  if (!fs.existsSync(packageJsonPath)) {
+    return false;
+  }
+  const json = readJsonFile(packageJsonPath);
+  return typeof json === "object" && json !== null && json[PACKAGE_JSON_KEY] !== undefined;
+}
+
+/** Find the config file for a directory, searching parent directories. Returns null if none. */
+export function findConfigFile(cwd) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+    if (hasPackageJsonConfig(dir)) {
+      return path.join(dir, "package.json");
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load the project configuration.
+ * Uses `configPath` if given, otherwise searches from cwd upward; returns defaults if none is found.
+ * Globs in the config are relative to the directory containing the config file (`config.root`).
+ */
+export async function loadConfig(cwd, configPath) {
+  const filepath = configPath ? path.resolve(cwd, configPath) : findConfigFile(cwd);
+  if (!filepath) {
+    return getDefaultConfig();
+  }
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Config file not found: ${filepath}`);
+  }
+
+  const config = normalizeConfig(await readConfigFile(filepath), filepath);
+  return { ...config, filepath, root: path.dirname(filepath) };
+}
@@ -0,0 +1,114 @@
+/**
+ * Unified diff output for --dry-run / --diff (no dependencies).
+ *
+ * Table processing rewrites rows in place and never adds or removes lines, so lines are
+ * compared by position instead of running a full diff algorithm. Lines are compared with their
+ * line endings (LF, CRLF or CR) but shown without them. Ideographic spaces (U+3000) look like
+ * regular spaces in a terminal, so they are shown with a visible marker.
+ */
+
+/** Marker shown in place of U+3000 ideographic spaces in diff output */
+export const IDEOGRAPHIC_SPACE_MARKER = "␣";
+
+const DEFAULT_CONTEXT = 3;
+
+/** Line printed after a last line that has no line ending, as in git and GNU diff */
+const NO_NEWLINE_MARKER = "\\ No newline at end of file";
+
+/** Replace ideographic spaces with a visible marker */
+export function showIdeographicSpaces(line) {
+  return line.replaceAll("\u3000", IDEOGRAPHIC_SPACE_MARKER);
+}
+
+/** Split content into lines that keep their line endings; a trailing line ending does not start another line */
+function splitLines(content) {
+  return content.match(/[^\r\n]*(?:\r\n|\r|\n)|[^\r\n]+$/g) ?? [];
+}
+
+/** Format a diff line: the marker, then the line without its ending (plus NO_NEWLINE_MARKER if it has none) */
+function formatLine(marker, line) {
+  const text = line.replace(/\r\n$|\r$|\n$/, "");
+  const formatted = `${marker}${showIdeographicSpaces(text)}`;
+  return text === line ? [formatted, NO_NEWLINE_MARKER] : [formatted];
+}
+
+/** Find 0-based indexes of lines that differ between the two line arrays */
+function findChangedLines(oldLines, newLines) {
+  const changed = [];
+  for (let i = 0; i < Math.max(oldLines.length, newLines.length); i++) {
+    if (oldLines[i] !== newLines[i]) {
+      changed.push(i);
+    }
+  }
+  return changed;
+}
+
+/** Group changed line indexes into hunks [{ start, end }] (end exclusive), merging overlapping context */
+function groupHunks(changed, lineCount, context) {
+  const hunks = [];
+  for (const idx of changed) {
+    const start = Math.max(0, idx - context);
+    const end = Math.min(lineCount, idx + context + 1);
+    const last = hunks.at(-1);
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+  return hunks;
+}
+
+/** Format a hunk range for the "@@" header: 1-based start and line count */
+function formatRange(start, count) {
+  return count === 0 ? `${start},0` : `${start + 1},${count}`;
+}
+
+/** Build the lines of one hunk: context lines, then removed and added lines per changed block */
+function buildHunk(oldLines, newLines, { start, end }) {
+  const oldEnd = Math.min(end, oldLines.length);
+  const newEnd = Math.min(end, newLines.length);
+  const lines = [`@@ -${formatRange(start, oldEnd - start)} +${formatRange(start, newEnd - start)} @@`];
+
+  let i = start;
+  while (i < end) {
+    if (oldLines[i] === newLines[i]) {
+      lines.push(...formatLine(" ", oldLines[i]));
+      i++;
+      continue;
+    }
+    // Collect a block of consecutive changed lines so removals precede additions
+    const blockStart = i;
+    while (i < end && oldLines[i] !== newLines[i]) {
+      i++;
+    }
+    for (let j = blockStart; j < i && j < oldLines.length; j++) {
+      lines.push(...formatLine("-", oldLines[j]));
+    }
+    for (let j = blockStart; j < i && j < newLines.length; j++) {
+      lines.push(...formatLine("+", newLines[j]));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Create a unified diff between two versions of a file.
+ * Returns an empty string if the contents are equal.
+ * Options: context (unchanged lines around changes, default 3).
+ */
+export function createUnifiedDiff(filePath, oldContent, newContent, { context = DEFAULT_CONTEXT } = {}) {
+  if (oldContent === newContent) {
+    return "";
+  }
+
+  const oldLines = splitLines(oldContent);
+  const newLines = splitLines(newContent);
+  const hunks = groupHunks(findChangedLines(oldLines, newLines), Math.max(oldLines.length, newLines.length), context);
+
+  const lines = [`--- a/${filePath}`, `+++ b/${filePath}`];
+  for (const hunk of hunks) {
+    lines.push(...buildHunk(oldLines, newLines, hunk));
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,72 @@
+/**
+ * Git helpers for --staged and --changed-since (runs the `git` executable, no dependencies).
+ *
+ * --staged works on the index rather than the working copy: the staged blob is read, fixed, written
+ * back as a new blob and re-staged, so unstaged edits in partially staged files are never committed.
+ * All returned file paths are absolute.
+ */
+
+import { execFileSync } from "node:child_process";
+import path from "node:path";
+import { toPosixPath } from "./glob.mjs";
+
+/** Run a git command and return its stdout; throws an Error with git's message on failure */
+function git(args, cwd, input) {
+  try {
+    return execFileSync("git", args, { cwd, input, encoding: "utf8", stdio: ["pipe", "pipe", "pipe"], maxBuffer: 64 * 1024 * 1024 });
+  } catch (err) {
+    const message = err.stderr?.toString().trim() || err.message;
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+/** Split NUL-separated git output (from -z) into entries */
+function splitNullSeparated(output) {
+  return output.split("\0").filter(Boolean);
+}
+
+/** Get the repository root directory for cwd */
+export function getRepoRoot(cwd = process.cwd()) {
+  return git(["rev-parse", "--show-toplevel"], cwd).trim();
+}
+
+/** Get the repository-relative POSIX path of a file, as used in git pathspecs and index entries */
+function toRepoPath(filePath, root) {
+  return toPosixPath(path.relative(root, filePath));
+}
+
+/** List files staged for commit (added, copied, modified or renamed; deletions are skipped) */
+export function getStagedFiles(cwd = process.cwd()) {
+  const root = getRepoRoot(cwd);
+  const output = git(["diff", "--cached", "--name-only", "--diff-filter=ACMR", "-z"], root);
+  return splitNullSeparated(output).map((file) => path.join(root, file));
+}
+
+/**
+ * List files changed since the merge base of `ref` and HEAD (like a pull request diff),
+ * including uncommitted changes. Deleted files are skipped.
+ */
+export function getChangedFiles(ref, cwd = process.cwd()) {
+  const root = getRepoRoot(cwd);
+  const mergeBase = git(["merge-base", ref, "HEAD"], root).trim();
+  const output = git(["diff", "--name-only", "--diff-filter=ACMR", "-z", mergeBase], root);
+  return splitNullSeparated(output).map((file) => path.join(root, file));
+}
+
+/** Read the staged (index) content of a file */
+export function readStagedFile(filePath, cwd = process.cwd()) {
+  const root = getRepoRoot(cwd);
+  return git(["cat-file", "blob", `:${toRepoPath(filePath, root)}`], root);
+}
+
+/** Write content as the staged version of a file, keeping its file mode; the working copy is untouched */
+export function writeStagedFile(filePath, content, cwd = process.cwd()) {
+  const root = getRepoRoot(cwd);
+  const repoPath = toRepoPath(filePath, root);
+  const [fileMode] = git(["ls-files", "--stage", "-z", "--", repoPath], root).split(" ");
+  if (!fileMode) {
+    throw new Error(`${repoPath} is not staged`);
+  }
+  const blob = git(["hash-object", "-w", "--stdin"], root, content).trim();
+  git(["update-index", "--cacheinfo", `${fileMode},${blob},${repoPath}`], root);
+}
@@ -0,0 +1,128 @@
+/**
+ * Minimal glob matching for include/exclude patterns (no dependencies).
+ *
+ * Supported syntax: `*`, `**`, `?`, `[abc]`/`[!abc]` character classes and `{a,b}` alternatives.
+ * Paths are matched with forward slashes; backslashes in paths are normalized.
+ */
+
+/** Characters that must be escaped when copied into a RegExp source */
+const REGEX_SPECIAL_CHARS = /[.+^$()|\\]/;
+
+/** Find the index of the brace closing the one at `start`, honoring nesting; -1 if unbalanced */
+function findClosingBrace(glob, start) {
+  let depth = 0;
+  for (let i = start; i < glob.length; i++) {
+    if (glob[i] === "{") {
+      depth++;
+    } else if (glob[i] === "}" && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/** Split brace content on top-level commas: "a,{b,c},d" → ["a", "{b,c}", "d"] */
+function splitAlternatives(content) {
+  const alternatives = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === "{") {
+      depth++;
+    } else if (content[i] === "}") {
+      depth--;
+    } else if (content[i] === "," && depth === 0) {
+      alternatives.push(content.slice(start, i));
+      start = i + 1;
+    }
+  }
+  alternatives.push(content.slice(start));
+  return alternatives;
+}
+
+/** Convert `**` at index i to a RegExp source, returns [source, charsConsumed] */
+function convertGlobstar(glob, i) {
+  const atSegmentStart = i === 0 || glob[i - 1] === "/";
+  if (atSegmentStart && glob[i + 2] === "/") {
+    return ["(?:.*/)?", 3]; // "**/" matches zero or more directories
+  }
+  return [".*", 2];
+}
+
+/** Convert a character class at index i to a RegExp source, returns [source, charsConsumed] */
+function convertCharacterClass(glob, i) {
+  const end = glob.indexOf("]", i + 2);
+  if (end === -1) {
+    return [String.raw`\[`, 1];
+  }
+  const negated = glob[i + 1] === "!" || glob[i + 1] === "^";
+  const body = glob.slice(negated ? i + 2 : i + 1, end).replaceAll("\\", "\\\\");
+  return [`[${negated ? "^" : ""}${body}]`, end - i + 1];
+}
+
+/** Convert a glob (without anchors) to a RegExp source string */
+function globToRegExpSource(glob) {
+  let source = "";
+  let i = 0;
+  while (i < glob.length) {
+    const char = glob[i];
+    let consumed = 1;
+    if (char === "*" && glob[i + 1] === "*") {
+      let part;
+      [part, consumed] = convertGlobstar(glob, i);
+      source += part;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      let part;
+      [part, consumed] = convertCharacterClass(glob, i);
+      source += part;
+    } else if (char === "{" && findClosingBrace(glob, i) !== -1) {
+      const end = findClosingBrace(glob, i);
+      const alternatives = splitAlternatives(glob.slice(i + 1, end)).map(globToRegExpSource);
+      source += `(?:${alternatives.join("|")})`;
+      consumed = end - i + 1;
+    } else {
+      source += REGEX_SPECIAL_CHARS.test(char) ? `\\${char}` : char;
+    }
+    i += consumed;
+  }
+  return source;
+}
+
+/** Convert a glob pattern to an anchored RegExp */
+export function globToRegExp(glob) {
+  return new RegExp(`^${globToRegExpSource(glob)}$`);
+}
+
+/** Check if a string contains glob syntax (`*`, `?`, `[`, `{`) */
+export function isGlobPattern(str) {
+  return /[*?[{]/.test(str);
+}
+
+/** Normalize a path to forward slashes without a leading "./" */
+export function toPosixPath(filePath) {
+  return filePath.replaceAll("\\", "/").replace(/^\.\//, "");
+}
+
+/**
+ * Check if a relative path matches a glob pattern.
+ * Patterns without a slash match any path segment, like .gitignore (`CHANGELOG.md`, `*.mdx`, `vendor`);
+ * patterns with a slash match the whole relative path (`docs/**`). A trailing slash matches everything below.
+ */
+export function matchesGlob(relativePath, pattern) {
+  const posixPath = toPosixPath(relativePath);
+  const posixPattern = toPosixPath(pattern);
+  if (!posixPattern.includes("/")) {
+    const regex = globToRegExp(posixPattern);
+    return posixPath.split("/").some((segment) => regex.test(segment));
+  }
+  return globToRegExp(posixPattern.replace(/\/$/, "/**")).test(posixPath);
+}
+
+/** Check if a relative path matches any of the glob patterns */
+export function matchesAnyGlob(relativePath, patterns) {
+  return patterns.some((pattern) => matchesGlob(relativePath, pattern));
+}
@@ -0,0 +1,97 @@
+/**
+ * .gitignore-style ignore files for file discovery.
+ *
+ * By default `.gitignore`, `.prettierignore` and `.fixmdtablesignore` are read from the
+ * project root, so a run covers the same files Prettier formats. Supported syntax:
+ * comments (`#`), negation (`!`), directory-only patterns (`dist/`), anchored patterns
+ * (`/build`, `docs/api`) and globs (`*`, `**`, `?`, `[abc]`, `{a,b}`).
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { globToRegExp, toPosixPath } from "./glob.mjs";
+
+export const DEFAULT_IGNORE_FILES = [".gitignore", ".prettierignore", ".fixmdtablesignore"];
+
+/** Parse a single ignore-file line into a rule, or null for blank lines and comments */
+function parseIgnoreLine(line) {
+  let pattern = line.replace(/(?<!\\)\s+$/, "");
+  if (pattern === "" || pattern.startsWith("#")) {
+    return null;
+  }
+
+  const negated = pattern.startsWith("!");
+  if (negated) {
+    pattern = pattern.slice(1);
+  }
+  pattern = pattern.replace(/^\\([#!])/, "$1");
+
+  const directoryOnly = pattern.endsWith("/");
+  pattern = pattern.replace(/\/+$/, "");
+
+  // A slash at the start or in the middle anchors the pattern to the ignore file's directory
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\//, "");
+
+  return { negated, directoryOnly, anchored, regex: globToRegExp(pattern) };
+}
+
+/** Parse ignore-file content into rules */
+export function parseIgnoreFile(content) {
+  return content.split(/\r?\n/).map(parseIgnoreLine).filter(Boolean);
+}
+
+/** Check a single path (not its parents) against rules; the last matching rule wins */
+function matchRules(rules, relativePath, isDirectory) {
+  const baseName = relativePath.slice(relativePath.lastIndexOf("/") + 1);
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    if (rule.regex.test(rule.anchored ? relativePath : baseName)) {
+      ignored = !rule.negated;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * Check if a root-relative path is ignored by the rules.
+ * As in git, a file inside an ignored directory is ignored, even if a later rule negates the file.
+ */
+export function isIgnoredPath(rules, relativePath, isDirectory = false) {
+  const segments = toPosixPath(relativePath).split("/");
+  for (let i = 1; i < segments.length; i++) {
+    if (matchRules(rules, segments.slice(0, i).join("/"), true)) {
+      return true;
+    }
+  }
+  return matchRules(rules, segments.join("/"), isDirectory);
+}
+
+/** Read and combine rules from the given ignore files in root (missing files are skipped) */
+export function loadIgnoreRules(root, ignoreFiles = DEFAULT_IGNORE_FILES) {
+  return ignoreFiles.flatMap((name) => {
+    try {
+      return parseIgnoreFile(fs.readFileSync(path.resolve(root, name), "utf8"));
+    } catch {
+      return []; // Ignore file not present
+    }
+  });
+}
+
+/**
+ * Create a predicate `(absolutePath, isDirectory) => boolean` for paths ignored by the ignore
+ * files in root. Paths outside root are never ignored.
+ */
+export function createIgnoreMatcher(root, ignoreFiles = DEFAULT_IGNORE_FILES) {
+  const rules = loadIgnoreRules(root, ignoreFiles);
+  return (absolutePath, isDirectory = false) => {
+    const relativePath = path.relative(root, absolutePath);
+    if (rules.length === 0 || relativePath === "" || relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      return false;
+    }
+    return isIgnoredPath(rules, relativePath, isDirectory);
+  };
+}
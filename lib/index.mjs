@@ -6,17 +6,29 @@
  *
  * Solution: Add ideographic spaces (U+3000, also 2 cols wide) to cells with
  * fewer emoji to compensate. 1 ideographic space = 1 emoji worth of width.
+ * CJK and other East Asian Wide characters are counted the same way as emoji.
  *
  * Compatible with Node.js and Bun. Supports both .md and .mdx files.
  */
 
 import fs from "node:fs";
+import fsPromises from "node:fs/promises";
 import path from "node:path";
+import { getDefaultConfig, loadConfig } from "./config.mjs";
+import { createUnifiedDiff } from "./diff.mjs";
+import { getChangedFiles, getStagedFiles, readStagedFile, writeStagedFile } from "./git.mjs";
+import { globToRegExp, isGlobPattern, matchesAnyGlob, toPosixPath } from "./glob.mjs";
+import { createIgnoreMatcher } from "./ignore.mjs";
+import { findSkippedLines, getIndentWidth, isCodeFenceStart } from "./regions.mjs";
+import { REPORTERS, formatReport } from "./reporters.mjs";
+import { TARGET_NAMES, resolveTarget } from "./targets.mjs";
+import { createWatcher } from "./watch.mjs";
 
 // === Constants ===
 
 export const IDEOGRAPHIC_SPACE = "\u3000"; // Displays as 2 columns, like emoji
-// Emoji regex covering common ranges:
+// Legacy code-point ranges, kept for backward compatibility. countEmoji no longer uses it:
+// it counts grapheme clusters using Unicode emoji properties instead (see isEmojiGrapheme).
 // - Miscellaneous Symbols and Pictographs, Emoticons (1F300-1F9FF)
 // - Miscellaneous Symbols (2600-26FF) - ⚠️, ☀️, etc.
 // - Dingbats (2700-27BF) - ✅, ✏️, etc.
@@ -26,14 +38,104 @@ export const IDEOGRAPHIC_SPACE = "\u3000"; // Displays as 2 columns, like emoji
 // - Extended-A (1FA70-1FAFF) - 🥷, 🫠, 🪿, etc. (newer emoji)
 export const EMOJI_REGEX = /[\u{1F300}-\u{1F9FF}]|[\u{1FA70}-\u{1FAFF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]|[\u{231A}-\u{23FA}]|[\u{2B50}-\u{2B55}]|[\u{2100}-\u{214F}]/gu;
 export const SEPARATOR_REGEX = /^(\s*)(:*)(-+)(:*)(\s*)$/;
+// Legacy: matches separator lines with outer pipes only. isTableSeparatorLine checks cells instead.
 export const TABLE_SEPARATOR_LINE_REGEX = /^\s*\|[\s:|\-\u3000]+\|\s*$/;
+// Container prefix before a table row: blockquote markers and indentation ("> ", "  ", "> > ")
+export const CONTAINER_PREFIX_REGEX = /^(?:[ \t]*>)*[ \t]*/;
+// Lines that start another block and so end a table: list items and ATX headings
+const BLOCK_START_REGEX = /^(?:[-*+]|\d{1,9}[.)]|#{1,6})(?:[ \t]|$)/;
 export const MARKDOWN_EXTENSIONS = [".md", ".mdx"];
+// Compensation options (configurable via `compensation` in the config file)
+export const DEFAULT_COMPENSATION_OPTIONS = { baseCompensation: 2, capPlainCells: true };
+// Line ending overrides for the `endOfLine` option; "auto" keeps each line's own ending
+export const END_OF_LINE = { lf: "\n", crlf: "\r\n", cr: "\r" };
+export const DEFAULT_CONCURRENCY = 16; // Files read/written at once by the async API
+const BYTE_ORDER_MARK = "\uFEFF";
+
+// Unicode emoji properties, tested against the first code point of a grapheme cluster
+const EMOJI_PRESENTATION_REGEX = /^\p{Emoji_Presentation}/u; // Emoji-style by default: ✅, 🌟, 🇺
+const EMOJI_BASE_REGEX = /^\p{Emoji}/u; // Includes text-style chars that need VS16: ℹ, ⚠, #
+const EXTENDED_PICTOGRAPHIC_REGEX = /^\p{Extended_Pictographic}/u;
+const EMOJI_MODIFIER_REGEX = /\p{Emoji_Modifier}/u; // Skin tones 🏻-🏿
+const VARIATION_SELECTOR_TEXT = "\uFE0E"; // VS15: force text presentation
+const VARIATION_SELECTOR_EMOJI = "\uFE0F"; // VS16: force emoji presentation
+const COMBINING_KEYCAP = "\u20E3";
+const ZERO_WIDTH_JOINER = "\u200D";
+
+// East Asian Wide (W) and Fullwidth (F) ranges from Unicode EastAsianWidth.txt, merged where adjacent.
+// Emoji are handled separately via isEmojiGrapheme.
+const EAST_ASIAN_WIDE_RANGES = [
+  [0x1100, 0x115f], // Hangul Jamo initial consonants
+  [0x2e80, 0x303e], // CJK Radicals, Kangxi, CJK Symbols and Punctuation (、。「」, U+3000)
+  [0x3041, 0x33ff], // Hiragana, Katakana, Bopomofo, Hangul Compatibility Jamo, Enclosed CJK
+  [0x3400, 0x4dbf], // CJK Unified Ideographs Extension A
+  [0x4e00, 0x9fff], // CJK Unified Ideographs
+  [0xa000, 0xa4cf], // Yi Syllables and Radicals
+  [0xa960, 0xa97f], // Hangul Jamo Extended-A
+  [0xac00, 0xd7a3], // Hangul Syllables
+  [0xf900, 0xfaff], // CJK Compatibility Ideographs
+  [0xfe10, 0xfe19], // Vertical Forms
+  [0xfe30, 0xfe6f], // CJK Compatibility Forms, Small Form Variants
+  [0xff01, 0xff60], // Fullwidth ASCII variants and punctuation (，！（）)
+  [0xffe0, 0xffe6], // Fullwidth currency and signs
+  [0x16fe0, 0x16fe4], // Ideographic Symbols and Punctuation
+  [0x17000, 0x18cff], // Tangut, Khitan
+  [0x1b000, 0x1b2ff], // Kana Supplement, Kana Extended, Nushu
+  [0x1f200, 0x1f2ff], // Enclosed Ideographic Supplement
+  [0x20000, 0x3fffd], // CJK Unified Ideographs Extension B and later (SIP, TIP)
+];
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
 
 // === Pure Helper Functions ===
 
-/** Count emoji characters in a string */
+/** Split a string into grapheme clusters (user-perceived characters) */
+export function splitGraphemes(str) {
+  return Array.from(graphemeSegmenter.segment(str), ({ segment }) => segment);
+}
+
+/**
+ * Check if a grapheme cluster renders as an emoji.
+ * - Emoji_Presentation base (✅, 🌟, flags, skin-tone and tag sequences) → emoji
+ * - Text-style base with VS16 or keycap (ℹ️, ⚠️, 1️⃣) → emoji
+ * - ZWJ sequence or skin-tone modifier on a pictographic base (👁‍🗨, ☝🏽) → emoji
+ * - VS15, or a text-style char without VS16 (™, ℹ, ℃, ℕ) → not emoji
+ */
+export function isEmojiGrapheme(grapheme) {
+  if (grapheme.includes(VARIATION_SELECTOR_TEXT)) {
+    return false;
+  }
+  if (EMOJI_PRESENTATION_REGEX.test(grapheme)) {
+    return true;
+  }
+  if (grapheme.includes(VARIATION_SELECTOR_EMOJI) || grapheme.includes(COMBINING_KEYCAP)) {
+    return EMOJI_BASE_REGEX.test(grapheme);
+  }
+  if (grapheme.includes(ZERO_WIDTH_JOINER) || EMOJI_MODIFIER_REGEX.test(grapheme)) {
+    return EXTENDED_PICTOGRAPHIC_REGEX.test(grapheme);
+  }
+  return false;
+}
+
+/** Count rendered emoji in a string (each grapheme cluster counts once: 👨‍👩‍👧, 🇺🇦, 👍🏽 = 1) */
 export function countEmoji(str) {
-  return (str.match(EMOJI_REGEX) || []).length;
+  return splitGraphemes(str).filter(isEmojiGrapheme).length;
+}
+
+/** Check if a grapheme cluster's base character is East Asian Wide or Fullwidth (漢, か, 한, ！) */
+export function isEastAsianWideGrapheme(grapheme) {
+  const codePoint = grapheme.codePointAt(0);
+  return EAST_ASIAN_WIDE_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end);
+}
+
+/** Check if a grapheme cluster displays as 2 columns (emoji or East Asian Wide/Fullwidth) */
+export function isWideGrapheme(grapheme) {
+  return isEmojiGrapheme(grapheme) || isEastAsianWideGrapheme(grapheme);
+}
+
+/** Count wide characters (emoji + CJK and other East Asian Wide characters) in a string */
+export function countWideChars(str) {
+  return splitGraphemes(str).filter(isWideGrapheme).length;
 }
 
 /** Replace all ideographic spaces with 2 regular spaces (same visual width) */
@@ -41,33 +143,98 @@ export function normalizeIdeographicSpaces(str) {
   return str.replaceAll("\u3000", "  ");
 }
 
-/** Check if a line is a markdown table separator */
+/** Get the container prefix of a line (blockquote markers and indentation) */
+export function getContainerPrefix(line) {
+  return line.match(CONTAINER_PREFIX_REGEX)[0];
+}
+
+/** Count blockquote markers in a container prefix */
+function getQuoteDepth(prefix) {
+  return prefix.split(">").length - 1;
+}
+
+/**
+ * Check if a line is a markdown table separator, with or without outer pipes
+ * (`| --- | :-: |`, `--- | ---:`), inside any container prefix
+ */
 export function isTableSeparatorLine(line) {
-  return TABLE_SEPARATOR_LINE_REGEX.test(line);
+  const row = line.slice(getContainerPrefix(line).length).trim();
+  if (!hasUnescapedPipe(row)) {
+    return false;
+  }
+  const cells = parseTableRow(row);
+  return cells.length > 0 && cells.every((cell) => SEPARATOR_REGEX.test(cell));
 }
 
-/** Check if a line is a table row (starts and ends with |) */
+/** Check if the character at index is escaped by an odd number of preceding backslashes */
+function isEscaped(str, index) {
+  let backslashes = 0;
+  for (let i = index - 1; i >= 0 && str[i] === "\\"; i--) {
+    backslashes++;
+  }
+  return backslashes % 2 === 1;
+}
+
+/** Check if a string contains a pipe that is not backslash-escaped */
+export function hasUnescapedPipe(str) {
+  return splitTableCells(str).length > 1;
+}
+
+/** Check if a line is a table row (starts and ends with an unescaped |) */
 export function isTableRow(line) {
   const trimmed = line.trim();
-  return trimmed.startsWith("|") && trimmed.endsWith("|");
+  return trimmed.length > 1 && trimmed.startsWith("|") && trimmed.endsWith("|") && !isEscaped(trimmed, trimmed.length - 1);
+}
+
+/**
+ * Split a string into cells on unescaped pipes, keeping escapes in the cell text.
+ * Per GFM, a backslash-escaped pipe (`\|`) never splits a cell, including inside code spans
+ * (`` `a \| b` ``), while an unescaped pipe always does.
+ */
+export function splitTableCells(str) {
+  const cells = [];
+  let cellStart = 0;
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === "\\") {
+      i++; // Skip the escaped character
+    } else if (str[i] === "|") {
+      cells.push(str.slice(cellStart, i));
+      cellStart = i + 1;
+    }
+  }
+  cells.push(str.slice(cellStart));
+  return cells;
 }
 
-/** Parse a table row into cells (preserving internal spacing) */
+/** Detect which outer pipes a row is written with: "| a | b |", "a | b", "| a | b", "a | b |" */
+export function getPipeStyle(row) {
+  const trimmed = row.trim();
+  return {
+    leadingPipe: trimmed.startsWith("|"),
+    trailingPipe: trimmed.length > 1 && trimmed.endsWith("|") && !isEscaped(trimmed, trimmed.length - 1),
+  };
+}
+
+/** Parse a table row into cells (preserving internal spacing and escaped pipes), with or without outer pipes */
 export function parseTableRow(row) {
   const trimmed = row.trim();
-  const inner = trimmed.slice(1, -1); // Remove outer |
-  return inner.split("|");
+  const { leadingPipe, trailingPipe } = getPipeStyle(trimmed);
+  // Drop the (empty) segments outside the outer pipes
+  return splitTableCells(trimmed).slice(leadingPipe ? 1 : 0, trailingPipe ? -1 : undefined);
 }
 
-/** Calculate max emoji count per column from data rows */
+/** Calculate max wide-character count (emoji + East Asian Wide) per column from the header and data rows */
 export function calculateMaxEmojiPerColumn(parsedRows, numCols) {
   const maxEmojiPerCol = new Array(numCols).fill(0);
 
-  // Skip header (row 0) and separator (row 1), only look at data rows
-  for (let rowIdx = 2; rowIdx < parsedRows.length; rowIdx++) {
+  // Skip the separator (row 1): it only holds dashes and colons
+  for (let rowIdx = 0; rowIdx < parsedRows.length; rowIdx++) {
+    if (rowIdx === 1) {
+      continue;
+    }
     const row = parsedRows[rowIdx];
     for (let col = 0; col < row.length; col++) {
-      const emojiCount = countEmoji(row[col] || "");
+      const emojiCount = countWideChars(row[col] || "");
       maxEmojiPerCol[col] = Math.max(maxEmojiPerCol[col], emojiCount);
     }
   }
@@ -99,60 +266,112 @@ export function splitCellContent(cell) {
   return [cell.slice(0, leadingEnd), cell.slice(leadingEnd, trailingStart), cell.slice(trailingStart)];
 }
 
-/** Compensate a regular cell by adding ideographic spaces and removing equivalent regular spaces */
-export function compensateRegularCell(cell, compensation) {
-  const [leadingSpace, content, trailingSpace] = splitCellContent(cell);
+/**
+ * Put `count` ideographic spaces into the whitespace on one side of a cell's content (next to the content),
+ * removing equivalent regular spaces. Returns null if there is not enough room.
+ */
+function compensateSpace(space, count, side) {
+  if (count === 0) {
+    return space;
+  }
 
   // Preferred: remove 2 spaces per ideographic (maintains visual width proportionally)
-  const spacesToRemove = compensation * 2;
-
-  if (trailingSpace.length >= spacesToRemove) {
-    // Enough room for proportional removal
-    const newTrailingSpace = trailingSpace.slice(spacesToRemove);
-    return leadingSpace + content + IDEOGRAPHIC_SPACE.repeat(compensation) + newTrailingSpace;
-  } else if (trailingSpace.length >= compensation) {
-    // Partial room - remove all trailing, add full compensation
+  const spacesToRemove = count * 2;
+
+  if (space.length >= spacesToRemove) {
+    // Enough room for proportional removal; keep the spaces next to the pipe
+    const ideographic = IDEOGRAPHIC_SPACE.repeat(count);
+    return side === "leading" ? space.slice(0, space.length - spacesToRemove) + ideographic : ideographic + space.slice(spacesToRemove);
+  } else if (space.length >= count) {
+    // Partial room - remove all spaces on this side, add full compensation
     // Cell may be slightly wider, but ensures proper emoji alignment
-    return leadingSpace + content + IDEOGRAPHIC_SPACE.repeat(compensation);
-  } else {
-    // Not enough trailing space for meaningful compensation - skip
-    // Adding ideographic spaces without removing equivalent regular spaces
-    // would make the cell disproportionately wider
+    return IDEOGRAPHIC_SPACE.repeat(count);
+  }
+  // Not enough space for meaningful compensation
+  // Adding ideographic spaces without removing equivalent regular spaces
+  // would make the cell disproportionately wider
+  return null;
+}
+
+/**
+ * Compensate a regular cell by adding ideographic spaces and removing equivalent regular spaces.
+ * The ideographic spaces go where the column's padding is: after the content (left-aligned or none),
+ * before it (right-aligned), or split between both sides (centered, the extra one after).
+ * The cell is returned unchanged if either side lacks room.
+ */
+export function compensateRegularCell(cell, compensation, alignment = "none") {
+  const [leadingSpace, content, trailingSpace] = splitCellContent(cell);
+  const leadingCount = { right: compensation, center: Math.floor(compensation / 2) }[alignment] ?? 0;
+
+  const newLeadingSpace = compensateSpace(leadingSpace, leadingCount, "leading");
+  const newTrailingSpace = compensateSpace(trailingSpace, compensation - leadingCount, "trailing");
+  if (newLeadingSpace === null || newTrailingSpace === null) {
     return cell;
   }
+  return newLeadingSpace + content + newTrailingSpace;
 }
 
 /**
- * Calculate compensation needed for a cell based on emoji count.
- *
- * Formula: base + (max - cell), where base = min(2, max - 1)
- * - Even cells with max emoji get base compensation for visual consistency
- * - Base is capped at 2 to avoid excessive compensation in high-emoji columns
- * - For 0-emoji cells in high-emoji columns (max > 2), cap total at max - 1
- *   to prevent over-compensation that would make the cell too wide
+ * Possible original lengths of the whitespace on one side of a compensated cell. compensateSpace
+ * replaces 2 spaces per U+3000 (first candidate), or all spaces when there were fewer than that.
  */
-export function calculateCompensation(maxEmoji, cellEmoji) {
-  if (maxEmoji === 0) {
-    return 0;
+function getOriginalSpaceLengths(space) {
+  const count = countIdeographicSpaces(space);
+  const regular = space.length - count;
+  const lengths = [regular + count * 2];
+  if (count > 0 && regular === 0) {
+    for (let length = count; length < count * 2; length++) {
+      lengths.push(length);
+    }
   }
+  return lengths;
+}
+
+/**
+ * Reverse compensateRegularCell: replace ideographic spaces with regular spaces.
+ * Compensation removes 2 spaces per U+3000, or all spaces on a side when there were fewer, so in
+ * that case the original padding is recomputed from `width`, the display width the whole cell was
+ * padded to (the separator cell's width in Prettier's layout). When both sides are compensated
+ * (centered columns), the split closest to centered, with the extra space after, is used.
+ * Without a width, or if no padding adds up to it, each U+3000 becomes 2 spaces.
+ */
+export function restoreRegularCell(cell, width = null) {
+  const [leadingSpace, content, trailingSpace] = splitCellContent(cell);
+  const leadingLengths = getOriginalSpaceLengths(leadingSpace);
+  const trailingLengths = getOriginalSpaceLengths(trailingSpace);
+  const padding = width === null ? -1 : width - getDisplayWidth(content);
 
-  const base = Math.min(2, maxEmoji - 1);
-  let compensation = base + maxEmoji - cellEmoji;
+  const splits = leadingLengths.flatMap((leading) => trailingLengths.filter((trailing) => leading + trailing === padding).map((trailing) => [leading, trailing]));
+  const [leading, trailing] = (splits.length === 1 ? splits[0] : splits.find(([left, right]) => right - left === 0 || right - left === 1)) ?? [leadingLengths[0], trailingLengths[0]];
+  return " ".repeat(leading) + normalizeIdeographicSpaces(content) + " ".repeat(trailing);
+}
 
-  // For 0-emoji cells with max > 2: cap at max - 1
-  if (cellEmoji === 0 && maxEmoji > 2) {
-    compensation = Math.min(compensation, maxEmoji - 1);
+/**
+ * Calculate compensation needed for a cell based on its wide-character (emoji/CJK) count.
+ * The formula comes from the target profile (`options.target`, default "vscode"; see targets.mjs).
+ * For the default profile: base + (max - cell), where base = min(baseCompensation, max - 1),
+ * with 0-emoji cells in high-emoji columns capped at max - 1 (capPlainCells).
+ */
+export function calculateCompensation(maxEmoji, cellEmoji, options = {}) {
+  if (maxEmoji === 0) {
+    return 0;
   }
 
+  const target = resolveTarget(options.target, options.customTarget);
+  const compensation = target.compensate(maxEmoji, cellEmoji, { ...DEFAULT_COMPENSATION_OPTIONS, ...target, ...options });
   return Math.max(0, compensation);
 }
 
-/** Process a single cell, applying emoji compensation */
-export function processCell(cell, col, isSeparatorRow, maxEmojiPerCol) {
+/**
+ * Process a single cell, applying wide-character compensation.
+ * `alignments` holds the column alignments from the separator row (see parseColumnAlignment),
+ * which decide on which side of the content the compensation goes.
+ */
+export function processCell(cell, col, isSeparatorRow, maxEmojiPerCol, options = {}, alignments = []) {
   const maxEmoji = maxEmojiPerCol[col] || 0;
-  const cellEmoji = countEmoji(cell);
+  const cellEmoji = countWideChars(cell);
 
-  const compensation = calculateCompensation(maxEmoji, cellEmoji);
+  const compensation = calculateCompensation(maxEmoji, cellEmoji, options);
 
   if (compensation <= 0) {
     return cell;
@@ -163,12 +382,12 @@ export function processCell(cell, col, isSeparatorRow, maxEmojiPerCol) {
     return cell;
   }
 
-  return compensateRegularCell(cell, compensation);
+  return compensateRegularCell(cell, compensation, alignments[col]);
 }
 
-/** Build a table row string from cells */
-export function buildTableRow(cells) {
-  return "|" + cells.join("|") + "|";
+/** Build a table row string from cells, with outer pipes unless the pipe style says otherwise */
+export function buildTableRow(cells, { leadingPipe = true, trailingPipe = true } = {}) {
+  return (leadingPipe ? "|" : "") + cells.join("|") + (trailingPipe ? "|" : "");
 }
 
 /** Count ideographic spaces in a string */
@@ -176,8 +395,11 @@ export function countIdeographicSpaces(str) {
   return (str.match(/\u3000/g) || []).length;
 }
 
-/** Process a complete table, applying emoji compensation to all rows */
-export function processTable(tableRows) {
+/** Process a complete table, applying emoji/wide-character compensation to all rows */
+export function processTable(tableRows, options = {}) {
+  // Resolve the target profile once for all cells
+  const cellOptions = { ...options, target: resolveTarget(options.target, options.customTarget) };
+
   // Parse original rows to count existing ideographic spaces
   const originalParsedRows = tableRows.map(parseTableRow);
 
@@ -185,14 +407,15 @@ export function processTable(tableRows) {
   const cleanedRows = tableRows.map(normalizeIdeographicSpaces);
   const cleanedParsedRows = cleanedRows.map(parseTableRow);
 
-  // Check if table has any emoji
-  const hasEmoji = cleanedRows.some((row) => countEmoji(row) > 0);
+  // Check if table has any emoji or other wide characters
+  const hasEmoji = cleanedRows.some((row) => countWideChars(row) > 0);
   if (!hasEmoji || cleanedParsedRows.length < 2) {
     return cleanedRows;
   }
 
   const numCols = Math.max(...cleanedParsedRows.map((r) => r.length));
   const maxEmojiPerCol = calculateMaxEmojiPerColumn(cleanedParsedRows, numCols);
+  const alignments = Array.from({ length: numCols }, (_, col) => parseColumnAlignment(cleanedParsedRows[1][col] || ""));
 
   // Rebuild all rows with compensation
   return originalParsedRows.map((originalRow, rowIdx) => {
@@ -203,9 +426,9 @@ export function processTable(tableRows) {
       const cleanedCell = cleanedRow[col];
       const existingCompensation = countIdeographicSpaces(originalCell);
       const maxEmoji = maxEmojiPerCol[col] || 0;
-      const cellEmoji = countEmoji(cleanedCell);
+      const cellEmoji = countWideChars(cleanedCell);
 
-      const neededCompensation = calculateCompensation(maxEmoji, cellEmoji);
+      const neededCompensation = calculateCompensation(maxEmoji, cellEmoji, cellOptions);
 
       // Skip if no compensation needed or already adequate
       if (neededCompensation <= 0 || existingCompensation >= neededCompensation) {
@@ -218,91 +441,343 @@ export function processTable(tableRows) {
       }
 
       // Need more compensation - use normalized cell (0 IS) and apply full neededCompensation
-      return compensateRegularCell(cleanedCell, neededCompensation);
+      return compensateRegularCell(cleanedCell, neededCompensation, alignments[col]);
     });
 
-    return buildTableRow(processedCells);
+    return buildTableRow(processedCells, getPipeStyle(tableRows[rowIdx]));
   });
 }
 
-/** Check if a line starts a fenced code block */
-function isCodeFenceStart(line) {
-  const trimmed = line.trim();
-  return trimmed.startsWith("```") || trimmed.startsWith("~~~");
+// === Display-Width Formatter ===
+
+/** Zero-width code points: combining marks, ZWJ, variation selectors */
+const ZERO_WIDTH_REGEX = /^(?:\p{M}|[\u200B-\u200D]|[\uFE00-\uFE0F])/u;
+
+/** Minimum dash count in a separator cell (matches Prettier's output) */
+const MIN_COLUMN_WIDTH = 3;
+
+/** Display width of a single grapheme cluster */
+function getGraphemeWidth(grapheme) {
+  if (isWideGrapheme(grapheme)) {
+    return 2;
+  }
+  return ZERO_WIDTH_REGEX.test(grapheme) ? 0 : 1;
 }
 
-/** Check if a line ends a fenced code block (per CommonMark: fence + optional whitespace only) */
-function isCodeFenceEnd(line, fence) {
-  const trimmed = line.trim();
-  // Escape fence chars for regex safety, then match fence + optional whitespace only
-  const escapedFence = fence.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
-  const fencePattern = new RegExp(String.raw`^${escapedFence}\s*$`);
-  return fencePattern.test(trimmed);
+/** Calculate terminal display width: emoji, CJK and U+3000 are 2 columns, zero-width code points are 0 */
+export function getDisplayWidth(str) {
+  return splitGraphemes(str).reduce((width, grapheme) => width + getGraphemeWidth(grapheme), 0);
+}
+
+/** Read column alignment from a separator cell: "left", "right", "center" or "none" */
+export function parseColumnAlignment(separatorCell) {
+  const match = separatorCell.match(SEPARATOR_REGEX);
+  if (!match) {
+    return "none";
+  }
+  const hasLeft = match[2].length > 0;
+  const hasRight = match[4].length > 0;
+  if (hasLeft && hasRight) {
+    return "center";
+  }
+  if (hasRight) {
+    return "right";
+  }
+  return hasLeft ? "left" : "none";
 }
 
-/** Handle code fence state transitions, returns updated state */
-function handleCodeFence(line, inCodeBlock, codeFence) {
-  if (!inCodeBlock && isCodeFenceStart(line)) {
-    const match = line.trim().match(/^(`{3,}|~{3,})/);
-    return { inCodeBlock: true, codeFence: match ? match[1] : "```" };
+/** Pad content with regular spaces to the given display width, honoring column alignment */
+export function padCell(content, width, alignment = "none") {
+  const padding = Math.max(0, width - getDisplayWidth(content));
+  if (alignment === "right") {
+    return " ".repeat(padding) + content;
   }
-  if (inCodeBlock && isCodeFenceEnd(line, codeFence)) {
-    return { inCodeBlock: false, codeFence: "" };
+  if (alignment === "center") {
+    const left = Math.floor(padding / 2);
+    return " ".repeat(left) + content + " ".repeat(padding - left);
   }
-  return { inCodeBlock, codeFence };
+  return content + " ".repeat(padding);
 }
 
-/** Traverse markdown content and process tables with a callback */
-function traverseMarkdownTables(content, tableProcessor) {
-  const lines = content.split("\n");
+/** Build a separator cell of the given width, keeping alignment colons */
+export function buildSeparatorCell(width, alignment = "none") {
+  switch (alignment) {
+    case "left":
+      return ":" + "-".repeat(width - 1);
+    case "right":
+      return "-".repeat(width - 1) + ":";
+    case "center":
+      return ":" + "-".repeat(width - 2) + ":";
+    default:
+      return "-".repeat(width);
+  }
+}
+
+/**
+ * Format a complete table from scratch: every cell is re-padded with regular spaces
+ * based on its display width, and the separator row is rebuilt to matching dash widths.
+ * Unlike processTable, this does not depend on Prettier's padding being present.
+ * Each row keeps its outer pipes, or their absence.
+ */
+export function formatTable(tableRows) {
+  if (tableRows.length < 2) {
+    return tableRows;
+  }
+
+  const contentRows = tableRows.map((row) => parseTableRow(normalizeIdeographicSpaces(row)).map((cell) => splitCellContent(cell)[1]));
+  const numCols = Math.max(...contentRows.map((r) => r.length));
+  const alignments = Array.from({ length: numCols }, (_, col) => parseColumnAlignment(contentRows[1][col] || ""));
+
+  // Column width = widest cell's display width (separator row excluded, it is rebuilt)
+  const widths = alignments.map((_, col) => contentRows.reduce((max, row, rowIdx) => (rowIdx === 1 ? max : Math.max(max, getDisplayWidth(row[col] || ""))), MIN_COLUMN_WIDTH));
+
+  return contentRows.map((row, rowIdx) => {
+    const cells = widths.map((width, col) => {
+      const cell = rowIdx === 1 ? buildSeparatorCell(width, alignments[col]) : padCell(row[col] || "", width, alignments[col]);
+      return ` ${cell} `;
+    });
+    // Keep the row's pipe style; without an outer pipe, the row starts or ends at the cell text
+    const pipeStyle = getPipeStyle(tableRows[rowIdx]);
+    const built = buildTableRow(cells, pipeStyle);
+    return (pipeStyle.leadingPipe ? built : built.trimStart()).trimEnd();
+  });
+}
+
+/** Check if lines[i] starts a table: a row with a pipe followed by a separator in the same container */
+function isTableStart(lines, i) {
+  if (i + 1 >= lines.length || !isTableSeparatorLine(lines[i + 1])) {
+    return false;
+  }
+  const prefix = getContainerPrefix(lines[i]);
+  return hasUnescapedPipe(lines[i].slice(prefix.length)) && getQuoteDepth(prefix) === getQuoteDepth(getContainerPrefix(lines[i + 1]));
+}
+
+/** Indentation width of a container prefix after its last blockquote marker */
+function getContainerIndent(prefix) {
+  return getIndentWidth(prefix.slice(prefix.lastIndexOf(">") + 1));
+}
+
+/**
+ * Check if a line continues the table whose first row has the container prefix `tablePrefix`:
+ * same blockquote depth, not indented less (which leaves the list item), not the start of another
+ * block (list item, ATX heading, code fence, blank line) and containing an unescaped pipe
+ */
+function isTableContinuation(line, tablePrefix) {
+  const prefix = getContainerPrefix(line);
+  const row = line.slice(prefix.length);
+  return (
+    getQuoteDepth(prefix) === getQuoteDepth(tablePrefix) &&
+    getContainerIndent(prefix) >= getContainerIndent(tablePrefix) &&
+    !BLOCK_START_REGEX.test(row) &&
+    !isCodeFenceStart(row) &&
+    hasUnescapedPipe(row)
+  );
+}
+
+/** Detect the most common line ending in content ("\n", "\r\n" or "\r"); "\n" if there is none */
+export function detectLineEnding(content) {
+  const counts = { "\n": 0, "\r\n": 0, "\r": 0 };
+  for (const [ending] of content.matchAll(/\r\n|\r|\n/g)) {
+    counts[ending]++;
+  }
+  return Object.keys(counts).reduce((best, ending) => (counts[ending] > counts[best] ? ending : best));
+}
+
+/** Resolve the `endOfLine` option ("auto", "lf", "crlf", "cr") to a line ending, or null to keep each line's own */
+function resolveEndOfLine(endOfLine = "auto") {
+  if (endOfLine === "auto") {
+    return null;
+  }
+  if (!Object.hasOwn(END_OF_LINE, endOfLine)) {
+    throw new Error(`Unknown endOfLine: ${endOfLine}`);
+  }
+  return END_OF_LINE[endOfLine];
+}
+
+/**
+ * Split content into lines (without terminators) and the terminator of each line.
+ * LF, CRLF and CR are all recognized, so mixed files keep each line's own ending.
+ */
+function splitLinesWithEndings(content) {
+  const parts = content.split(/(\r\n|\r|\n)/);
+  return {
+    lines: parts.filter((_, idx) => idx % 2 === 0),
+    endings: parts.filter((_, idx) => idx % 2 === 1),
+  };
+}
+
+/**
+ * Traverse markdown content and process tables with a callback.
+ * The callback receives the table rows (container prefixes such as `> ` or list
+ * indentation stripped, and restored afterwards) and the 0-based index of the first row.
+ * A UTF-8 BOM and line endings are preserved, unless `endOfLine` ("lf", "crlf", "cr") overrides them.
+ * `syntax` ("mdx" by default, or "md") selects whether MDX ESM/JSX/expression lines are skipped.
+ * Exported for lint.mjs; prefer fixTableAlignment and friends.
+ */
+export function traverseMarkdownTables(content, tableProcessor, { endOfLine = "auto", syntax = "mdx" } = {}) {
+  const eolOverride = resolveEndOfLine(endOfLine);
+  const bom = content.startsWith(BYTE_ORDER_MARK) ? BYTE_ORDER_MARK : "";
+  const { lines, endings } = splitLinesWithEndings(content.slice(bom.length));
+  const skipped = findSkippedLines(lines, { syntax });
   const result = [];
   let i = 0;
-  let inCodeBlock = false;
-  let codeFence = "";
 
   while (i < lines.length) {
     const line = lines[i];
-    const prevInCodeBlock = inCodeBlock;
-    ({ inCodeBlock, codeFence } = handleCodeFence(line, inCodeBlock, codeFence));
 
-    // If entering or inside code block, just push the line
-    if (inCodeBlock || prevInCodeBlock) {
+    // Front matter, code, HTML and MDX ESM/JSX lines are never tables
+    if (skipped[i]) {
       result.push(line);
       i++;
       continue;
     }
 
     // Detect table start: line with | followed by separator line
-    if (line.includes("|") && i + 1 < lines.length && isTableSeparatorLine(lines[i + 1])) {
+    if (!skipped[i + 1] && isTableStart(lines, i)) {
+      const tableStart = i;
+      const tablePrefix = getContainerPrefix(line);
+      const prefixes = [];
       const tableRows = [];
-      while (i < lines.length && isTableRow(lines[i])) {
-        tableRows.push(lines[i]);
+      // The header and separator rows were checked by isTableStart
+      while (i < lines.length && !skipped[i] && (i < tableStart + 2 || isTableContinuation(lines[i], tablePrefix))) {
+        const prefix = getContainerPrefix(lines[i]);
+        prefixes.push(prefix);
+        tableRows.push(lines[i].slice(prefix.length));
         i++;
       }
-      result.push(...tableProcessor(tableRows));
+      result.push(...tableProcessor(tableRows, tableStart).map((row, idx) => prefixes[idx] + row));
     } else {
       result.push(line);
       i++;
     }
   }
 
-  return result.join("\n");
+  // Table processors keep the row count, so line i keeps its original ending
+  const lastIdx = result.length - 1;
+  return bom + result.map((line, idx) => (idx < lastIdx ? line + (eolOverride || endings[idx]) : line)).join("");
 }
 
-/** Main function to fix table alignment in markdown content */
-export function fixTableAlignment(content) {
-  return traverseMarkdownTables(content, processTable);
+/** Main function to fix table alignment in markdown content (options: compensation options, endOfLine, syntax) */
+export function fixTableAlignment(content, options = {}) {
+  return traverseMarkdownTables(content, (tableRows) => processTable(tableRows, options), options);
+}
+
+// === Table Model ===
+
+/**
+ * Parse a table row (container prefix already split off) into its model:
+ * { line, prefix, raw, suffix, leadingPipe, trailingPipe, cells: [{ text, leading, trailing, column, emoji, wideChars, width }] }
+ * `raw` is the row without prefix, `suffix` the whitespace after it; cell `column` is the 1-based
+ * column of the cell's first character (after its opening pipe) in the line.
+ */
+function parseRowModel(raw, prefix, line) {
+  const content = raw.trimEnd();
+  const { leadingPipe, trailingPipe } = getPipeStyle(content);
+  const segments = splitTableCells(content);
+  const columns = [];
+  let offset = prefix.length;
+  for (const segment of segments) {
+    columns.push(offset + 1);
+    offset += segment.length + 1;
+  }
+
+  const first = leadingPipe ? 1 : 0;
+  const cells = segments.slice(first, trailingPipe ? -1 : undefined).map((cell, idx) => {
+    const [leading, text, trailing] = splitCellContent(cell);
+    return { text, leading, trailing, column: columns[first + idx], emoji: countEmoji(text), wideChars: countWideChars(text), width: getDisplayWidth(text) };
+  });
+  return { line, prefix, raw: content, suffix: raw.slice(content.length), leadingPipe, trailingPipe, cells };
+}
+
+/**
+ * Find every table in markdown content (the same tables the fix, clean and format modes process).
+ * Returns a model per table:
+ * - startLine, endLine: 1-based inclusive line range
+ * - startOffset, endOffset: string offsets of the table text, from the first row's container prefix
+ *   to the end of the last row (before its line ending), so `content.slice(startOffset, endOffset)`
+ *   is the table
+ * - lineEnding: the most common line ending between rows (see detectLineEnding)
+ * - columnCount: number of header cells; alignments: "left", "right", "center" or "none" per column
+ * - header, separator, body: row models (see parseRowModel) with parsed cells, whitespace and widths
+ * Options: syntax ("mdx" or "md", see traverseMarkdownTables).
+ */
+export function findTables(content, { syntax = "mdx" } = {}) {
+  const bom = content.startsWith(BYTE_ORDER_MARK) ? BYTE_ORDER_MARK : "";
+  const { lines, endings } = splitLinesWithEndings(content.slice(bom.length));
+  const lineOffsets = [];
+  let offset = bom.length;
+  lines.forEach((line, idx) => {
+    lineOffsets.push(offset);
+    offset += line.length + (endings[idx]?.length ?? 0);
+  });
+
+  const tables = [];
+  traverseMarkdownTables(
+    content,
+    (tableRows, tableStart) => {
+      const [header, separator, ...body] = tableRows.map((row, idx) => {
+        const line = lines[tableStart + idx];
+        return parseRowModel(row, line.slice(0, line.length - row.length), tableStart + idx + 1);
+      });
+      const lastIdx = tableStart + tableRows.length - 1;
+      tables.push({
+        startLine: tableStart + 1,
+        endLine: lastIdx + 1,
+        startOffset: lineOffsets[tableStart],
+        endOffset: lineOffsets[lastIdx] + lines[lastIdx].length,
+        lineEnding: detectLineEnding(endings.slice(tableStart, lastIdx).join("")),
+        columnCount: header.cells.length,
+        alignments: header.cells.map((_, col) => parseColumnAlignment(separator.cells[col]?.text ?? "")),
+        header,
+        separator,
+        body,
+      });
+      return tableRows;
+    },
+    { syntax },
+  );
+  return tables;
+}
+
+/**
+ * Serialize a table model from findTables back to markdown, rows joined with the model's lineEnding.
+ * Each cell is written as leading + text + trailing, so editing `text` keeps the original padding;
+ * prefixes, pipe style and trailing whitespace are kept. Unchanged models serialize to the original text.
+ */
+export function serializeTable(table) {
+  return [table.header, table.separator, ...table.body]
+    .map(
+      (row) =>
+        row.prefix +
+        buildTableRow(
+          row.cells.map((cell) => cell.leading + cell.text + cell.trailing),
+          row,
+        ) +
+        row.suffix,
+    )
+    .join(table.lineEnding);
 }
 
 // === File System Functions ===
 
+/** Get the markdown syntax of a file from its extension: "mdx" for .mdx files, "md" otherwise */
+export function getMarkdownSyntax(filePath) {
+  return path.extname(filePath).toLowerCase() === ".mdx" ? "mdx" : "md";
+}
+
 /** Check if a filename has a markdown extension */
-export function isMarkdownFile(filename) {
-  return MARKDOWN_EXTENSIONS.some((ext) => filename.endsWith(ext));
+export function isMarkdownFile(filename, extensions = MARKDOWN_EXTENSIONS) {
+  return extensions.some((ext) => filename.endsWith(ext));
 }
 
-/** Recursively find all markdown/MDX files in a directory */
-export function findMarkdownFiles(dir, files = []) {
+/** Never ignored: a predicate for `isIgnored` parameters */
+const notIgnored = () => false;
+
+/**
+ * Recursively find all markdown/MDX files in a directory.
+ * Skips dot-directories, node_modules, and paths for which `isIgnored(fullPath, isDirectory)` is true.
+ */
+export function findMarkdownFiles(dir, files = [], extensions = MARKDOWN_EXTENSIONS, isIgnored = notIgnored) {
   let entries;
   try {
     entries = fs.readdirSync(dir, { withFileTypes: true });
@@ -312,9 +787,12 @@ export function findMarkdownFiles(dir, files = []) {
 
   for (const entry of entries) {
     const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory() && !entry.name.startsWith(".") && entry.name !== "node_modules") {
-      findMarkdownFiles(fullPath, files);
-    } else if (entry.isFile() && isMarkdownFile(entry.name)) {
+    if (isIgnored(fullPath, entry.isDirectory())) {
+      continue;
+    }
+    if (isWalkedDirectory(entry)) {
+      findMarkdownFiles(fullPath, files, extensions, isIgnored);
+    } else if (entry.isFile() && isMarkdownFile(entry.name, extensions)) {
       files.push(fullPath);
     }
   }
@@ -322,8 +800,40 @@ export function findMarkdownFiles(dir, files = []) {
   return files;
 }
 
+/** Check if a directory entry is a directory the walkers descend into */
+function isWalkedDirectory(entry) {
+  return entry.isDirectory() && !entry.name.startsWith(".") && entry.name !== "node_modules";
+}
+
+/**
+ * Async version of findMarkdownFiles: sibling directories are read in parallel.
+ * Resolves to the same files in the same order.
+ */
+export async function findMarkdownFilesAsync(dir, extensions = MARKDOWN_EXTENSIONS, isIgnored = notIgnored) {
+  let entries;
+  try {
+    entries = await fsPromises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return []; // Directory not readable, skip silently
+  }
+
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (isIgnored(fullPath, entry.isDirectory())) {
+        return [];
+      }
+      if (isWalkedDirectory(entry)) {
+        return findMarkdownFilesAsync(fullPath, extensions, isIgnored);
+      }
+      return entry.isFile() && isMarkdownFile(entry.name, extensions) ? [fullPath] : [];
+    }),
+  );
+  return nested.flat();
+}
+
 /** Get default files to process (root .md/.mdx files + docs directory) */
-export function getDefaultFiles(cwd) {
+export function getDefaultFiles(cwd, extensions = MARKDOWN_EXTENSIONS, isIgnored = notIgnored) {
   const files = [];
 
   // Root markdown/MDX files
@@ -335,75 +845,977 @@ export function getDefaultFiles(cwd) {
   }
 
   for (const entry of rootEntries) {
-    if (entry.isFile() && isMarkdownFile(entry.name)) {
+    if (entry.isFile() && isMarkdownFile(entry.name, extensions) && !isIgnored(path.join(cwd, entry.name), false)) {
       files.push(path.join(cwd, entry.name));
     }
   }
 
   // Docs directory
   const docsDir = path.join(cwd, "docs");
-  if (fs.existsSync(docsDir)) {
-    findMarkdownFiles(docsDir, files);
+  if (fs.existsSync(docsDir) && !isIgnored(docsDir, true)) {
+    findMarkdownFiles(docsDir, files, extensions, isIgnored);
+  }
+
+  return files;
+}
+
+/** Async version of getDefaultFiles */
+export async function getDefaultFilesAsync(cwd, extensions = MARKDOWN_EXTENSIONS, isIgnored = notIgnored) {
+  let rootEntries;
+  try {
+    rootEntries = await fsPromises.readdir(cwd, { withFileTypes: true });
+  } catch {
+    return []; // Can't read cwd, return empty
   }
 
+  const files = rootEntries.filter((entry) => entry.isFile() && isMarkdownFile(entry.name, extensions) && !isIgnored(path.join(cwd, entry.name), false)).map((entry) => path.join(cwd, entry.name));
+
+  const docsDir = path.join(cwd, "docs");
+  if (fs.existsSync(docsDir) && !isIgnored(docsDir, true)) {
+    files.push(...(await findMarkdownFilesAsync(docsDir, extensions, isIgnored)));
+  }
   return files;
 }
 
-/** Clean table by normalizing ideographic spaces to regular spaces */
+/** Get the directory part of a glob before its first glob segment: "docs/guides/*.md" → "docs/guides" */
+function getGlobBase(pattern) {
+  const segments = toPosixPath(pattern).split("/");
+  const firstGlobIdx = segments.findIndex(isGlobPattern);
+  return segments.slice(0, firstGlobIdx).join("/") || (pattern.startsWith("/") ? "/" : ".");
+}
+
+/**
+ * Expand a glob pattern (relative to cwd, or absolute) to matching markdown files.
+ * Unlike config globs, CLI globs match the whole path like a shell: "*.md" is root files only.
+ */
+export function expandGlob(pattern, cwd = process.cwd(), extensions = MARKDOWN_EXTENSIONS, isIgnored = notIgnored) {
+  return filterGlobMatches(findMarkdownFiles(path.resolve(cwd, getGlobBase(pattern)), [], extensions, isIgnored), pattern, cwd);
+}
+
+/** Async version of expandGlob */
+export async function expandGlobAsync(pattern, cwd = process.cwd(), extensions = MARKDOWN_EXTENSIONS, isIgnored = notIgnored) {
+  return filterGlobMatches(await findMarkdownFilesAsync(path.resolve(cwd, getGlobBase(pattern)), extensions, isIgnored), pattern, cwd);
+}
+
+/** Keep the files under a glob's base directory that match the whole glob */
+function filterGlobMatches(files, pattern, cwd) {
+  const regex = globToRegExp(toPosixPath(pattern));
+  return files.filter((file) => {
+    const candidate = path.isAbsolute(pattern) ? file : path.relative(cwd, file);
+    return regex.test(toPosixPath(candidate));
+  });
+}
+
+/** Classify a CLI file argument as a "glob", a "directory" or a literal "file" */
+function getFileArgType(arg, cwd) {
+  const fullPath = path.resolve(cwd, arg);
+  if (isGlobPattern(arg) && !fs.existsSync(fullPath)) {
+    return "glob";
+  }
+  return fs.statSync(fullPath, { throwIfNoEntry: false })?.isDirectory() ? "directory" : "file";
+}
+
+/** Deduplicate by absolute path: a file may be named literally and matched by a glob */
+function dedupeFiles(files, cwd) {
+  const seen = new Set();
+  return files.filter((file) => {
+    const fullPath = path.resolve(cwd, file);
+    return !seen.has(fullPath) && seen.add(fullPath);
+  });
+}
+
+/** Expand CLI file arguments: globs and directories become the markdown files they match */
+export function expandFileArgs(fileArgs, cwd = process.cwd(), extensions = MARKDOWN_EXTENSIONS, isIgnored = notIgnored) {
+  const files = fileArgs.flatMap((arg) => {
+    const type = getFileArgType(arg, cwd);
+    if (type === "glob") {
+      return expandGlob(arg, cwd, extensions, isIgnored);
+    }
+    return type === "directory" ? findMarkdownFiles(path.resolve(cwd, arg), [], extensions, isIgnored) : [arg];
+  });
+  return dedupeFiles(files, cwd);
+}
+
+/** Async version of expandFileArgs: arguments are expanded in parallel */
+export async function expandFileArgsAsync(fileArgs, cwd = process.cwd(), extensions = MARKDOWN_EXTENSIONS, isIgnored = notIgnored) {
+  const files = await Promise.all(
+    fileArgs.map((arg) => {
+      const type = getFileArgType(arg, cwd);
+      if (type === "glob") {
+        return expandGlobAsync(arg, cwd, extensions, isIgnored);
+      }
+      return type === "directory" ? findMarkdownFilesAsync(path.resolve(cwd, arg), extensions, isIgnored) : [arg];
+    }),
+  );
+  return dedupeFiles(files.flat(), cwd);
+}
+
+/**
+ * Resolve the files to process from CLI file arguments and config settings:
+ * - file arguments win over discovery; globs and directories are expanded
+ * - config `include` globs replace the default root + docs/ discovery (relative to config root)
+ * - config `exclude` globs and the ignore files (.gitignore, .prettierignore, .fixmdtablesignore
+ *   in the config root) filter everything, including explicit arguments
+ */
+export function resolveFiles(fileArgs, config = getDefaultConfig(), cwd = process.cwd()) {
+  const extensions = [...MARKDOWN_EXTENSIONS, ...config.extensions];
+  const root = config.root || cwd;
+  const isIgnored = createIgnoreMatcher(root, config.ignoreFiles);
+
+  let files;
+  if (fileArgs.length > 0) {
+    files = expandFileArgs(fileArgs, cwd, extensions, isIgnored);
+  } else if (config.include.length > 0) {
+    files = findMarkdownFiles(root, [], extensions, isIgnored).filter((file) => matchesAnyGlob(path.relative(root, file), config.include));
+  } else {
+    files = getDefaultFiles(cwd, extensions, isIgnored);
+  }
+
+  return filterFiles(files, config, cwd, isIgnored);
+}
+
+/** Async version of resolveFiles, using the async directory walker */
+export async function resolveFilesAsync(fileArgs, config = getDefaultConfig(), cwd = process.cwd()) {
+  const extensions = [...MARKDOWN_EXTENSIONS, ...config.extensions];
+  const root = config.root || cwd;
+  const isIgnored = createIgnoreMatcher(root, config.ignoreFiles);
+
+  let files;
+  if (fileArgs.length > 0) {
+    files = await expandFileArgsAsync(fileArgs, cwd, extensions, isIgnored);
+  } else if (config.include.length > 0) {
+    files = (await findMarkdownFilesAsync(root, extensions, isIgnored)).filter((file) => matchesAnyGlob(path.relative(root, file), config.include));
+  } else {
+    files = await getDefaultFilesAsync(cwd, extensions, isIgnored);
+  }
+
+  return filterFiles(files, config, cwd, isIgnored);
+}
+
+/** Drop files matched by config `exclude` globs or the ignore files */
+function filterFiles(files, config = getDefaultConfig(), cwd = process.cwd(), isIgnored = null) {
+  const root = config.root || cwd;
+  const isIgnoredPath = isIgnored || createIgnoreMatcher(root, config.ignoreFiles);
+  return files.filter((file) => {
+    const fullPath = path.resolve(cwd, file);
+    const relativePath = path.relative(root, fullPath);
+    const excluded = !relativePath.startsWith("..") && matchesAnyGlob(relativePath, config.exclude);
+    return !excluded && !isIgnoredPath(fullPath, false);
+  });
+}
+
+/** Resolve git-selected files (e.g. staged): markdown files only, minus excluded and ignored ones */
+function filterGitFiles(files, config, cwd) {
+  const extensions = [...MARKDOWN_EXTENSIONS, ...config.extensions];
+  return filterFiles(
+    files.filter((file) => isMarkdownFile(file, extensions)),
+    config,
+    cwd,
+  ).map((file) => path.relative(cwd, file));
+}
+
+/**
+ * Clean a table by replacing ideographic spaces with the regular spaces they replaced.
+ * Lossless for tables padded like Prettier does (every cell as wide as its separator cell):
+ * cleanTable(processTable(rows)) gives back the rows. Rows without outer pipes get 2 spaces per U+3000.
+ */
 function cleanTable(tableRows) {
-  return tableRows.map(normalizeIdeographicSpaces);
+  const separatorCells = tableRows.length > 1 ? parseTableRow(normalizeIdeographicSpaces(tableRows[1])) : [];
+  const widths = separatorCells.map((cell) => (SEPARATOR_REGEX.test(cell) ? cell.length : null));
+
+  return tableRows.map((row, rowIdx) => {
+    const { leadingPipe, trailingPipe } = getPipeStyle(row);
+    if (rowIdx === 1 || !leadingPipe || !trailingPipe || !row.includes(IDEOGRAPHIC_SPACE)) {
+      return normalizeIdeographicSpaces(row);
+    }
+    return buildTableRow(parseTableRow(row).map((cell, col) => restoreRegularCell(cell, widths[col] ?? null)));
+  });
+}
+
+/** Clean table alignment by removing ideographic spaces (run before Prettier); options: endOfLine, syntax */
+export function cleanTableAlignment(content, options = {}) {
+  return traverseMarkdownTables(content, cleanTable, options);
+}
+
+/** Table processing modes: fix (add U+3000), clean (remove U+3000), format (re-pad by display width) */
+const MODES = {
+  fix: {
+    tableProcessor: processTable,
+    progressLabel: "Processing",
+    doneLabel: "Fixed",
+    summaryLabel: "Fixed",
+    checkLabel: "Needs fixing",
+    cliHint: "fix-md-tables",
+  },
+  clean: {
+    tableProcessor: cleanTable,
+    progressLabel: "Cleaning",
+    doneLabel: "Cleaned",
+    summaryLabel: "Cleaned ideographic spaces from",
+    checkLabel: "Needs cleaning",
+    cliHint: "fix-md-tables --clean",
+  },
+  format: {
+    tableProcessor: formatTable,
+    progressLabel: "Formatting",
+    doneLabel: "Formatted",
+    summaryLabel: "Formatted",
+    checkLabel: "Needs formatting",
+    cliHint: "fix-md-tables --format",
+  },
+};
+
+/**
+ * Resolve a mode name ("fix", "clean", "format") to its settings.
+ * A boolean is accepted for backward compatibility: true means "clean", false means "fix".
+ */
+function resolveMode(mode) {
+  if (typeof mode === "boolean" || mode === undefined) {
+    return mode ? MODES.clean : MODES.fix;
+  }
+  if (!Object.hasOwn(MODES, mode)) {
+    throw new Error(`Unknown mode: ${mode}`);
+  }
+  return MODES[mode];
+}
+
+/** Format tables by re-padding every cell to its display width (no Prettier needed); options: endOfLine, syntax */
+export function formatTableAlignment(content, options = {}) {
+  return traverseMarkdownTables(content, formatTable, options);
 }
 
-/** Clean table alignment by removing ideographic spaces (run before Prettier) */
-export function cleanTableAlignment(content) {
-  return traverseMarkdownTables(content, cleanTable);
+/** Process all tables in content with the given mode ("fix", "clean" or "format") */
+export function processContent(content, mode = "fix", options = {}) {
+  const { tableProcessor } = resolveMode(mode);
+  return traverseMarkdownTables(content, (tableRows) => tableProcessor(tableRows, options), options);
 }
 
-/** Process a single file, applying table alignment fixes */
-export function processFile(filePath, cleanMode = false) {
+/** Find the 1-based numbers of the columns whose cells differ between two versions of a table */
+function findChangedColumns(tableRows, processedRows) {
+  const columns = new Set();
+  tableRows.forEach((row, rowIdx) => {
+    const cells = parseTableRow(row);
+    const processedCells = parseTableRow(processedRows[rowIdx]);
+    for (let col = 0; col < Math.max(cells.length, processedCells.length); col++) {
+      if (cells[col] !== processedCells[col]) {
+        columns.add(col + 1);
+      }
+    }
+  });
+  return [...columns].sort((a, b) => a - b);
+}
+
+/** Process content like processContent, collecting the per-table results in the same pass: { processed, tables } */
+function processAndAnalyze(content, mode, options) {
+  const { tableProcessor } = resolveMode(mode);
+  const tables = [];
+
+  const processed = traverseMarkdownTables(
+    content,
+    (tableRows, tableStart) => {
+      const processedRows = tableProcessor(tableRows, options);
+      const changed = processedRows.some((row, idx) => row !== tableRows[idx]);
+      tables.push({
+        startLine: tableStart + 1,
+        endLine: tableStart + tableRows.length,
+        changed,
+        columns: changed ? findChangedColumns(tableRows, processedRows) : [],
+      });
+      return processedRows;
+    },
+    options,
+  );
+
+  return { processed, tables };
+}
+
+/**
+ * Analyze every table that processing in the given mode would see, without modifying content.
+ * Returns [{ startLine, endLine, changed, columns }] with 1-based inclusive line ranges and the
+ * 1-based numbers of the columns that would change.
+ */
+export function analyzeTables(content, mode = "fix", options = {}) {
+  return processAndAnalyze(content, mode, options).tables;
+}
+
+/**
+ * Find tables that processing in the given mode would change, without modifying content.
+ * Returns 1-based inclusive line ranges: [{ startLine, endLine }]
+ */
+export function findChangedTables(content, mode = "fix", options = {}) {
+  return analyzeTables(content, mode, options)
+    .filter((table) => table.changed)
+    .map(({ startLine, endLine }) => ({ startLine, endLine }));
+}
+
+/** Format line ranges for display, e.g. "lines 3-7, 12-15" */
+function formatLineRanges(ranges) {
+  if (ranges.length === 0) {
+    return "line endings"; // Only an endOfLine override changes content outside tables
+  }
+  return "lines " + ranges.map(({ startLine, endLine }) => `${startLine}-${endLine}`).join(", ");
+}
+
+/** Logger that discards all messages, used for `silent: true` */
+const SILENT_LOGGER = { log() {}, error() {} };
+
+/** Get the changed table ranges of a file result (null if the file failed), as checkFile returns them */
+function getChangedRanges(result) {
+  return result.error ? null : result.tables.filter((table) => table.changed).map(({ startLine, endLine }) => ({ startLine, endLine }));
+}
+
+/**
+ * Log the outcome of a file result like the CLI does: written files, files that would change
+ * (in check mode, with their table line ranges) and errors. Unchanged files are not logged.
+ */
+function logFileResult(result, mode, { check = false, logger = console } = {}) {
+  const { checkLabel, doneLabel } = resolveMode(mode);
+  if (result.error) {
+    logger.error(`  ✗ Error ${check ? "checking" : "processing"} ${result.file}: ${result.error}`);
+  } else if (check && result.changed) {
+    logger.log(`  ✗ ${checkLabel}: ${result.file} (${formatLineRanges(getChangedRanges(result))})`);
+  } else if (result.written) {
+    logger.log(`  ✓ ${doneLabel}: ${result.file}`);
+  }
+}
+
+/**
+ * Check a single file without writing it (options: compensation options, endOfLine).
+ * Returns the changed table ranges (empty if aligned), or null if the file could not be read.
+ */
+export function checkFile(filePath, mode = "fix", options = {}) {
+  const result = inspectFile(filePath, mode, options);
+  logFileResult(result, mode, { check: true });
+  return getChangedRanges(result);
+}
+
+/** Async version of checkFile */
+export async function checkFileAsync(filePath, mode = "fix", options = {}) {
+  const result = await inspectFileAsync(filePath, mode, options);
+  logFileResult(result, mode, { check: true });
+  return getChangedRanges(result);
+}
+
+/**
+ * Build a unified diff of the changes processing a file would make, without writing it.
+ * Returns { file, diff, error }: `diff` is an empty string if nothing would change, and null
+ * (with `error` as a message) if the file could not be read.
+ * `displayPath` is the path shown in the diff headers (defaults to filePath).
+ */
+export function diffFile(filePath, mode = "fix", options = {}, displayPath = filePath) {
+  try {
+    const content = fs.readFileSync(filePath, "utf8");
+    const processed = processContent(content, mode, getFileOptions(filePath, options));
+    return { file: filePath, diff: createUnifiedDiff(toPosixPath(displayPath), content, processed), error: null };
+  } catch (err) {
+    return { file: filePath, diff: null, error: err.message };
+  }
+}
+
+/** Options for processing a file: its syntax from the extension, unless `options` sets one */
+function getFileOptions(filePath, options) {
+  return { syntax: getMarkdownSyntax(filePath), ...options };
+}
+
+/** Build the result of processing a file's content (see inspectFile) */
+function createFileResult(filePath, content, { processed, tables }, written) {
+  return {
+    file: filePath,
+    changed: processed !== content,
+    written,
+    tables,
+    sizeBefore: Buffer.byteLength(content, "utf8"),
+    sizeAfter: Buffer.byteLength(processed, "utf8"),
+    error: null,
+  };
+}
+
+/** Build the result for a file that could not be read or written */
+function createErrorResult(filePath, err) {
+  return { file: filePath, changed: false, written: false, tables: [], sizeBefore: null, sizeAfter: null, error: err.message };
+}
+
+/**
+ * Process a single file and return a structured result instead of logging:
+ * { file, changed, written, tables: [{ startLine, endLine, changed, columns }], sizeBefore, sizeAfter, error }
+ * The file is only written when `write` is true (otherwise `changed` means "would change").
+ * Sizes are in bytes; `error` is the error message, or null.
+ */
+export function inspectFile(filePath, mode = "fix", options = {}, { write = false } = {}) {
   try {
     const content = fs.readFileSync(filePath, "utf8");
-    const processed = cleanMode ? cleanTableAlignment(content) : fixTableAlignment(content);
+    const analyzed = processAndAnalyze(content, mode, getFileOptions(filePath, options));
+    const shouldWrite = write && analyzed.processed !== content;
+    if (shouldWrite) {
+      fs.writeFileSync(filePath, analyzed.processed, "utf8");
+    }
+    return createFileResult(filePath, content, analyzed, shouldWrite);
+  } catch (err) {
+    return createErrorResult(filePath, err);
+  }
+}
 
-    if (content !== processed) {
-      fs.writeFileSync(filePath, processed, "utf8");
-      console.log(`  ✓ ${cleanMode ? "Cleaned" : "Fixed"}: ${filePath}`);
-      return true;
+/** Async version of inspectFile */
+export async function inspectFileAsync(filePath, mode = "fix", options = {}, { write = false } = {}) {
+  try {
+    const content = await fsPromises.readFile(filePath, "utf8");
+    const analyzed = processAndAnalyze(content, mode, getFileOptions(filePath, options));
+    const shouldWrite = write && analyzed.processed !== content;
+    if (shouldWrite) {
+      await fsPromises.writeFile(filePath, analyzed.processed, "utf8");
     }
-    return false;
+    return createFileResult(filePath, content, analyzed, shouldWrite);
   } catch (err) {
-    console.error(`  ✗ Error processing ${filePath}: ${err.message}`);
-    return false;
+    return createErrorResult(filePath, err);
+  }
+}
+
+/** Process a single file in the given mode ("fix", "clean" or "format"), options: compensation options, endOfLine */
+export function processFile(filePath, mode = "fix", options = {}) {
+  const result = inspectFile(filePath, mode, options, { write: true });
+  logFileResult(result, mode);
+  return result.written;
+}
+
+/** Async version of processFile */
+export async function processFileAsync(filePath, mode = "fix", options = {}) {
+  const result = await inspectFileAsync(filePath, mode, options, { write: true });
+  logFileResult(result, mode);
+  return result.written;
+}
+
+/** Map items with an async function, at most `concurrency` calls at a time; results keep the input order */
+async function mapConcurrent(items, concurrency, fn) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+  }
+  const results = Array.from({ length: items.length });
+  let nextIdx = 0;
+  async function worker() {
+    while (nextIdx < items.length) {
+      const idx = nextIdx++;
+      results[idx] = await fn(items[idx]);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Library entry point: process files in parallel and resolve to a structured result per path
+ * (see inspectFile), in input order. Nothing is thrown for unreadable files; see `error`.
+ * Options:
+ * - mode: "fix" (default), "clean" or "format"
+ * - check: only report files that would change, write nothing
+ * - concurrency: files read/written at once (default 16)
+ * - logger: object with log() and error() methods for progress messages (default console)
+ * - silent: log nothing (same as a logger that discards messages)
+ * - plus the table processing options (compensation options, endOfLine, target, customTarget)
+ */
+export async function fixFiles(paths, { mode = "fix", check = false, concurrency = DEFAULT_CONCURRENCY, logger = console, silent = false, ...options } = {}) {
+  resolveMode(mode); // Throw for an unknown mode instead of reporting it per file
+  const activeLogger = silent ? SILENT_LOGGER : logger;
+  return mapConcurrent(paths, concurrency, async (filePath) => {
+    const result = await inspectFileAsync(filePath, mode, options, { write: !check });
+    logFileResult(result, mode, { check, logger: activeLogger });
+    return result;
+  });
+}
+
+/**
+ * Process files in parallel, reading and writing at most `concurrency` (default 16) at a time.
+ * Options: mode ("fix", "clean" or "format"), concurrency, plus the processFile options.
+ * Resolves to processFile's result per path, in input order; messages are logged as files finish.
+ */
+export async function processFiles(paths, options = {}) {
+  return (await fixFiles(paths, { ...options, check: false })).map((result) => result.written);
+}
+
+/** Check files in parallel like processFiles; resolves to checkFile's result per path, in input order */
+export async function checkFiles(paths, options = {}) {
+  return (await fixFiles(paths, { ...options, check: true })).map(getChangedRanges);
+}
+
+/** Check mode runner: report files that would change, set a non-zero exit code if any */
+async function runCheck(files, mode, options) {
+  const { cliHint } = resolveMode(mode);
+  console.log(`  Checking ${files.length} markdown/MDX file(s)...`);
+
+  const results = await fixFiles(files, { ...options, mode, check: true });
+  const failedCount = results.filter((result) => result.error || result.changed).length;
+
+  if (failedCount > 0) {
+    console.log(`  ${failedCount} file(s) need changes. Run \`${cliHint}\` to apply them.`);
+    process.exitCode = 1;
+  } else {
+    console.log("  No changes needed.");
+  }
+
+  return failedCount;
+}
+
+/**
+ * Reporter runner: process files (with --check, only inspect them) and print a machine-readable
+ * report to stdout instead of log lines. Sets a non-zero exit code on errors, and in --check mode
+ * if any file would change.
+ */
+async function runReport(files, mode, options, { cwd, reporter, check }) {
+  const results = (await fixFiles(files, { ...options, mode, check, silent: true })).map((result) => ({
+    ...result,
+    file: toPosixPath(path.relative(cwd, path.resolve(cwd, result.file))),
+  }));
+  process.stdout.write(formatReport(reporter, { mode, check, files: results }));
+
+  const failedCount = results.filter((result) => result.error || (check && result.changed)).length;
+  if (failedCount > 0) {
+    process.exitCode = 1;
+  }
+  return check ? failedCount : results.filter((result) => result.changed).length;
+}
+
+/**
+ * Lint runner: print diagnostics as `file:line:column severity: message (rule-id)`; with --fix, apply
+ * autofixes first. Sets a non-zero exit code if any error-level problem remains. Resolves to the problem count.
+ */
+async function runLint(files, config, fix) {
+  const { lintFile, resolveLintRules } = await import("./lint.mjs"); // Loaded lazily: lint.mjs builds on this module
+  try {
+    resolveLintRules(config.lint);
+  } catch (err) {
+    console.error(`  ✗ Invalid configuration: ${err.message}`);
+    process.exitCode = 1;
+    return 0;
+  }
+
+  const options = { ...getProcessOptions(config), rules: config.lint, fix };
+  const results = files.map((file) => lintFile(file, options));
+  const diagnostics = [];
+  for (const result of results) {
+    if (result.error) {
+      console.error(`  ✗ Error linting ${result.file}: ${result.error}`);
+      process.exitCode = 1;
+      continue;
+    }
+    if (result.fixed) {
+      console.log(`  ✓ Fixed: ${result.file}`);
+    }
+    for (const diagnostic of result.diagnostics) {
+      const symbol = diagnostic.severity === "error" ? "✗" : "⚠";
+      console.log(`  ${symbol} ${result.file}:${diagnostic.line}:${diagnostic.column} ${diagnostic.severity}: ${diagnostic.message} (${diagnostic.rule})`);
+      diagnostics.push(diagnostic);
+    }
+  }
+
+  const errorCount = diagnostics.filter((diagnostic) => diagnostic.severity === "error").length;
+  const fixableCount = diagnostics.filter((diagnostic) => diagnostic.fixable).length;
+  if (diagnostics.length === 0) {
+    console.log("  No problems found.");
+  } else {
+    const fixHint = fixableCount > 0 ? `, ${fixableCount} fixable with \`fix-md-tables --lint --fix\`` : "";
+    console.log(`  ${diagnostics.length} problem(s) (${errorCount} error(s), ${diagnostics.length - errorCount} warning(s))${fixHint}.`);
+  }
+  if (errorCount > 0) {
+    process.exitCode = 1;
+  }
+  return diagnostics.length;
+}
+
+/** Dry-run runner: print a unified diff per file that would change, write nothing */
+function runDiff(files, mode, options, cwd) {
+  let changedCount = 0;
+  for (const file of files) {
+    const { diff, error } = diffFile(file, mode, options, path.relative(cwd, path.resolve(cwd, file)));
+    if (error) {
+      console.error(`  ✗ Error diffing ${file}: ${error}`);
+      process.exitCode = 1;
+    } else if (diff) {
+      process.stdout.write(diff);
+      changedCount++;
+    }
+  }
+
+  // The summary goes to stderr so that stdout is a valid patch
+  console.error(changedCount > 0 ? `  Dry run: ${changedCount} file(s) would change, nothing written.` : "  No changes needed.");
+  return changedCount;
+}
+
+/**
+ * Directories to watch: those containing the target files, directory and glob base arguments,
+ * and the project root (so new root files are picked up).
+ */
+function getWatchDirectories(files, fileArgs, config, cwd) {
+  const directories = [config.root || cwd, ...files.map((file) => path.dirname(path.resolve(cwd, file)))];
+  for (const arg of fileArgs) {
+    const dir = path.resolve(cwd, isGlobPattern(arg) ? getGlobBase(arg) : arg);
+    if (fs.statSync(dir, { throwIfNoEntry: false })?.isDirectory()) {
+      directories.push(dir);
+    }
   }
+  return [...new Set(directories)];
 }
 
-/** Main CLI runner */
-export function run(args = []) {
-  // Parse flags
-  const cleanMode = args.includes("--clean");
-  const knownFlags = new Set(["--clean"]);
-  const flags = args.filter((arg) => arg.startsWith("--"));
-  const unknownFlags = flags.filter((flag) => !knownFlags.has(flag));
-  if (unknownFlags.length > 0) {
-    console.warn(`  ⚠ Unknown flags ignored: ${unknownFlags.join(", ")}`);
+/**
+ * Watch mode: re-process target files when they change, until the process exits.
+ * Targets are re-resolved on each change, so new files matching the arguments or config are picked up.
+ */
+function watchFiles(files, fileArgs, config, cwd) {
+  const { mode } = config;
+  const options = getProcessOptions(config);
+  const extensions = [...MARKDOWN_EXTENSIONS, ...config.extensions];
+  const directories = getWatchDirectories(files, fileArgs, config, cwd);
+
+  const watcher = createWatcher(
+    directories,
+    (changedPaths) => {
+      const targets = new Set(resolveFiles(fileArgs, config, cwd).map((file) => path.resolve(cwd, file)));
+      for (const changedPath of changedPaths.filter((filePath) => targets.has(filePath))) {
+        if (processFile(path.relative(cwd, changedPath), mode, options)) {
+          watcher.ignoreWrite(changedPath, fs.readFileSync(changedPath, "utf8"));
+        }
+      }
+    },
+    { filter: (filePath) => isMarkdownFile(filePath, extensions) },
+  );
+
+  console.log(`  Watching ${directories.length} director${directories.length === 1 ? "y" : "ies"} for changes (Ctrl+C to stop)...`);
+  return watcher;
+}
+
+/** Fix the working copy of a staged file too, so it doesn't show the fix reverted; unstaged edits are kept */
+function syncWorkingCopy(filePath, staged, processed, mode, options) {
+  const working = fs.readFileSync(filePath, "utf8");
+  const fixed = working === staged ? processed : processContent(working, mode, options);
+  if (fixed !== working) {
+    fs.writeFileSync(filePath, fixed, "utf8");
   }
-  const fileArgs = args.filter((arg) => !arg.startsWith("--"));
+}
 
-  const files = fileArgs.length > 0 ? fileArgs : getDefaultFiles(process.cwd());
+/**
+ * Staged runner (pre-commit hooks): process the staged content of staged markdown files and
+ * re-stage the result, or with --check only report staged files that need changes.
+ */
+function runStaged(config, cwd, check) {
+  const { mode } = config;
+  const options = getProcessOptions(config);
+  const { progressLabel, doneLabel, summaryLabel, checkLabel, cliHint } = resolveMode(mode);
 
-  const modeLabel = cleanMode ? "Cleaning" : "Processing";
-  console.log(`  ${modeLabel} ${files.length} markdown/MDX file(s)...`);
+  let files;
+  try {
+    files = filterGitFiles(getStagedFiles(cwd), config, cwd);
+  } catch (err) {
+    console.error(`  ✗ ${err.message}`);
+    process.exitCode = 1;
+    return 0;
+  }
+  console.log(`  ${check ? "Checking" : progressLabel} ${files.length} staged markdown/MDX file(s)...`);
 
-  let processedCount = 0;
+  let changedCount = 0;
   for (const file of files) {
-    if (processFile(file, cleanMode)) {
-      processedCount++;
+    try {
+      const staged = readStagedFile(file, cwd);
+      const fileOptions = getFileOptions(file, options);
+      const processed = processContent(staged, mode, fileOptions);
+      if (processed === staged) {
+        continue;
+      }
+      changedCount++;
+      if (check) {
+        console.log(`  ✗ ${checkLabel}: ${file} (${formatLineRanges(findChangedTables(staged, mode, fileOptions))})`);
+        continue;
+      }
+      writeStagedFile(file, processed, cwd);
+      syncWorkingCopy(file, staged, processed, mode, fileOptions);
+      console.log(`  ✓ ${doneLabel}: ${file}`);
+    } catch (err) {
+      console.error(`  ✗ Error processing ${file}: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  if (check && changedCount > 0) {
+    console.log(`  ${changedCount} staged file(s) need changes. Run \`${cliHint} --staged\` to apply them.`);
+    process.exitCode = 1;
+  } else if (changedCount > 0) {
+    console.log(`  ${summaryLabel} ${changedCount} staged file(s).`);
+  }
+  return changedCount;
+}
+
+/** Read a whole stream (stdin by default) as a UTF-8 string */
+async function readStream(stream = process.stdin) {
+  stream.setEncoding("utf8");
+  let content = "";
+  for await (const chunk of stream) {
+    content += chunk;
+  }
+  return content;
+}
+
+/**
+ * Stdin runner: read markdown from stdin and write the result to stdout.
+ * Only the document (or with --diff, the diff) goes to stdout; messages go to stderr. In --check
+ * mode nothing is written to stdout and the exit code is set if tables would change.
+ */
+async function runStdin(cli, config, cwd) {
+  const { mode } = config;
+  const filePath = cli.values["--stdin-filepath"]?.at(-1);
+  // Without a path, MDX rules apply (stdin may be either syntax)
+  const options = filePath ? getFileOptions(filePath, getProcessOptions(config)) : getProcessOptions(config);
+  const label = filePath || "<stdin>";
+  const content = await readStream();
+
+  let processed = content;
+  // Input whose path is excluded or ignored passes through unchanged
+  if (!filePath || filterFiles([filePath], config, cwd).length > 0) {
+    try {
+      processed = processContent(content, mode, options);
+    } catch (err) {
+      console.error(`  ✗ Error processing ${label}: ${err.message}`);
+      process.exitCode = 1;
+      return 0;
+    }
+  }
+
+  if (cli.flags.has("--check")) {
+    if (processed === content) {
+      return 0;
     }
+    console.error(`  ✗ ${resolveMode(mode).checkLabel}: ${label} (${formatLineRanges(findChangedTables(content, mode, options))})`);
+    process.exitCode = 1;
+    return 1;
   }
 
+  if (cli.flags.has("--dry-run") || cli.flags.has("--diff")) {
+    process.stdout.write(createUnifiedDiff(toPosixPath(label), content, processed));
+  } else {
+    process.stdout.write(processed);
+  }
+  return processed === content ? 0 : 1;
+}
+
+const BOOLEAN_FLAGS = new Set(["--clean", "--format", "--check", "--no-config", "--no-ignore", "--stdin", "--dry-run", "--diff", "--watch", "--staged", "--lint", "--fix"]);
+const VALUE_FLAGS = new Set(["--config", "--ext", "--include", "--exclude", "--stdin-filepath", "--changed-since", "--end-of-line", "--target", "--reporter", "--rule", "--mode"]);
+
+/**
+ * Parse CLI arguments into boolean flags, option values and file arguments.
+ * Value flags accept `--flag value` or `--flag=value`; repeatable ones collect all values.
+ */
+export function parseCliArgs(args) {
+  const flags = new Set();
+  const values = {};
+  const files = [];
+  const unknown = [];
+  const errors = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("--")) {
+      files.push(arg);
+      continue;
+    }
+
+    const equalsIdx = arg.indexOf("=");
+    const name = equalsIdx === -1 ? arg : arg.slice(0, equalsIdx);
+    if (BOOLEAN_FLAGS.has(name) && equalsIdx === -1) {
+      flags.add(name);
+    } else if (VALUE_FLAGS.has(name)) {
+      const value = equalsIdx === -1 ? args[++i] : arg.slice(equalsIdx + 1);
+      if (value === undefined || value === "") {
+        errors.push(`${name} requires a value`);
+      } else {
+        values[name] = [...(values[name] || []), value];
+      }
+    } else {
+      unknown.push(arg);
+    }
+  }
+
+  return { flags, values, files, unknown, errors };
+}
+
+/** Split comma-separated CLI values: ["a,b", "c"] → ["a", "b", "c"] */
+function splitListValues(values) {
+  return values.flatMap((value) => value.split(",")).filter(Boolean);
+}
+
+/** Apply CLI flags over the loaded config (CLI wins) */
+export function applyCliOptions(config, { flags, values }) {
+  const merged = { ...config };
+  if (values["--mode"]) {
+    merged.mode = values["--mode"].at(-1);
+  }
+  if (flags.has("--clean")) {
+    merged.mode = "clean";
+  } else if (flags.has("--format")) {
+    merged.mode = "format";
+  }
+  if (values["--ext"]) {
+    merged.extensions = splitListValues(values["--ext"]).map((ext) => (ext.startsWith(".") ? ext : `.${ext}`));
+  }
+  if (values["--include"]) {
+    merged.include = values["--include"];
+  }
+  if (values["--exclude"]) {
+    merged.exclude = values["--exclude"];
+  }
+  if (flags.has("--no-ignore")) {
+    merged.ignoreFiles = [];
+  }
+  if (values["--end-of-line"]) {
+    merged.endOfLine = values["--end-of-line"].at(-1);
+  }
+  if (values["--target"]) {
+    merged.target = values["--target"].at(-1);
+  }
+  if (values["--rule"]) {
+    const rules = splitListValues(values["--rule"]).map((rule) => rule.split("="));
+    merged.lint = { ...config.lint, ...Object.fromEntries(rules) };
+  }
+  return merged;
+}
+
+/** Options passed to table processing: compensation options plus endOfLine and the target profile */
+function getProcessOptions(config) {
+  return { ...config.compensation, endOfLine: config.endOfLine, target: config.target, customTarget: config.customTarget };
+}
+
+/** Load the config file unless --no-config is given; a --config path must exist */
+function loadCliConfig(cli, cwd) {
+  if (cli.flags.has("--no-config")) {
+    return getDefaultConfig();
+  }
+  return loadConfig(cwd, cli.values["--config"]?.at(-1));
+}
+
+/**
+ * Main CLI runner.
+ * Resolves to the count of changed files, or in --check mode the count of files that would change.
+ * With --watch, it resolves after the first pass and keeps watching until the process exits.
+ */
+export async function run(args = []) {
+  const cli = parseCliArgs(args);
+  if (cli.unknown.length > 0) {
+    console.warn(`  ⚠ Unknown flags ignored: ${cli.unknown.join(", ")}`);
+  }
+  if (cli.flags.has("--clean") && cli.flags.has("--format")) {
+    cli.errors.push("--clean and --format cannot be used together");
+  }
+  const cliMode = cli.values["--mode"]?.at(-1);
+  if (cliMode && !Object.hasOwn(MODES, cliMode)) {
+    cli.errors.push(`--mode must be one of ${Object.keys(MODES).join(", ")}`);
+  }
+  if (cliMode && (cli.flags.has("--clean") || cli.flags.has("--format"))) {
+    cli.errors.push("--mode cannot be used with --clean or --format");
+  }
+  if (cli.flags.has("--stdin") && cli.files.length > 0) {
+    cli.errors.push("--stdin cannot be used with file arguments");
+  }
+  if (cli.flags.has("--check") && (cli.flags.has("--dry-run") || cli.flags.has("--diff"))) {
+    cli.errors.push("--check cannot be used with --dry-run or --diff");
+  }
+  if (cli.flags.has("--watch") && ["--stdin", "--check", "--dry-run", "--diff"].some((flag) => cli.flags.has(flag))) {
+    cli.errors.push("--watch cannot be used with --stdin, --check, --dry-run or --diff");
+  }
+  if (cli.flags.has("--staged") && ["--stdin", "--watch", "--dry-run", "--diff"].some((flag) => cli.flags.has(flag))) {
+    cli.errors.push("--staged cannot be used with --stdin, --watch, --dry-run or --diff");
+  }
+  if ((cli.flags.has("--staged") || cli.values["--changed-since"]) && cli.files.length > 0) {
+    cli.errors.push("--staged and --changed-since cannot be used with file arguments");
+  }
+  if (cli.values["--changed-since"] && ["--staged", "--stdin", "--watch"].some((flag) => cli.flags.has(flag))) {
+    cli.errors.push("--changed-since cannot be used with --staged, --stdin or --watch");
+  }
+  const endOfLine = cli.values["--end-of-line"]?.at(-1);
+  if (endOfLine && endOfLine !== "auto" && !Object.hasOwn(END_OF_LINE, endOfLine)) {
+    cli.errors.push(`--end-of-line must be one of auto, ${Object.keys(END_OF_LINE).join(", ")}`);
+  }
+  const target = cli.values["--target"]?.at(-1);
+  if (target && !TARGET_NAMES.includes(target)) {
+    cli.errors.push(`--target must be one of ${TARGET_NAMES.join(", ")}`);
+  }
+  const reporter = cli.values["--reporter"]?.at(-1);
+  if (reporter && !Object.hasOwn(REPORTERS, reporter)) {
+    cli.errors.push(`--reporter must be one of ${Object.keys(REPORTERS).join(", ")}`);
+  }
+  if (reporter && ["--stdin", "--staged", "--watch", "--dry-run", "--diff"].some((flag) => cli.flags.has(flag))) {
+    cli.errors.push("--reporter cannot be used with --stdin, --staged, --watch, --dry-run or --diff");
+  }
+  if (cli.flags.has("--lint") && ["--clean", "--format", "--check", "--stdin", "--staged", "--watch", "--dry-run", "--diff"].some((flag) => cli.flags.has(flag))) {
+    cli.errors.push("--lint cannot be used with --clean, --format, --check, --stdin, --staged, --watch, --dry-run or --diff");
+  }
+  if (cli.flags.has("--lint") && reporter) {
+    cli.errors.push("--lint cannot be used with --reporter");
+  }
+  if ((cli.flags.has("--fix") || cli.values["--rule"]) && !cli.flags.has("--lint")) {
+    cli.errors.push("--fix and --rule require --lint");
+  }
+  if (cli.values["--rule"] && splitListValues(cli.values["--rule"]).some((rule) => !/^[\w-]+=\w+$/.test(rule))) {
+    cli.errors.push("--rule must be <rule-id>=<error|warning|off>");
+  }
+  if (cli.values["--stdin-filepath"] && !cli.flags.has("--stdin")) {
+    cli.errors.push("--stdin-filepath requires --stdin");
+  }
+  if (cli.errors.length > 0) {
+    cli.errors.forEach((error) => console.error(`  ✗ ${error}`));
+    process.exitCode = 1;
+    return 0;
+  }
+
+  const cwd = process.cwd();
+  let config;
+  try {
+    config = applyCliOptions(await loadCliConfig(cli, cwd), cli);
+  } catch (err) {
+    console.error(`  ✗ Invalid configuration: ${err.message}`);
+    process.exitCode = 1;
+    return 0;
+  }
+
+  if (cli.flags.has("--stdin")) {
+    return runStdin(cli, config, cwd);
+  }
+
+  if (cli.flags.has("--staged")) {
+    return runStaged(config, cwd, cli.flags.has("--check"));
+  }
+
+  const { mode } = config;
+  const options = getProcessOptions(config);
+  let files;
+  try {
+    const changedSince = cli.values["--changed-since"]?.at(-1);
+    files = changedSince ? filterGitFiles(getChangedFiles(changedSince, cwd), config, cwd) : await resolveFilesAsync(cli.files, config, cwd);
+  } catch (err) {
+    console.error(`  ✗ ${err.message}`);
+    process.exitCode = 1;
+    return 0;
+  }
+
+  if (cli.flags.has("--lint")) {
+    return runLint(files, config, cli.flags.has("--fix"));
+  }
+  if (reporter) {
+    return runReport(files, mode, options, { cwd, reporter, check: cli.flags.has("--check") });
+  }
+  if (cli.flags.has("--check")) {
+    return runCheck(files, mode, options);
+  }
+  if (cli.flags.has("--dry-run") || cli.flags.has("--diff")) {
+    return runDiff(files, mode, options, cwd);
+  }
+
+  const { progressLabel, summaryLabel } = resolveMode(mode);
+  console.log(`  ${progressLabel} ${files.length} markdown/MDX file(s)...`);
+
+  const results = await fixFiles(files, { ...options, mode });
+  const processedCount = results.filter((result) => result.written).length;
+
   if (processedCount > 0) {
-    const action = cleanMode ? "Cleaned ideographic spaces from" : "Fixed";
-    console.log(`  ${action} ${processedCount} file(s).`);
+    console.log(`  ${summaryLabel} ${processedCount} file(s).`);
+  }
+
+  if (cli.flags.has("--watch")) {
+    watchFiles(files, cli.files, config, cwd);
   }
 
   return processedCount;
@@ -0,0 +1,202 @@
+/**
+ * Table lint rules for --lint.
+ *
+ * Each rule has an ID, a default severity ("error" or "warning", set to "off" to disable) and
+ * reports diagnostics with a 1-based line and column. Table rules may also have an autofix
+ * (`fixTable`), applied with --lint --fix:
+ * - column-count: a row has a different number of cells than the header (missing cells are padded)
+ * - separator-column-count: the separator row has a different number of cells than the header
+ * - table-alignment: cells need ideographic-space compensation for emoji/wide characters (fixed like `fix` mode)
+ * - stray-ideographic-space: U+3000 outside tables, e.g. left over after a table was removed
+ *   (not fixed automatically: CJK text uses U+3000 on purpose)
+ */
+
+import fs from "node:fs";
+import { buildTableRow, findTables, getMarkdownSyntax, getPipeStyle, IDEOGRAPHIC_SPACE, parseTableRow, processTable, traverseMarkdownTables } from "./index.mjs";
+import { findSkippedLines } from "./regions.mjs";
+
+export const LINT_SEVERITIES = ["error", "warning", "off"];
+const BYTE_ORDER_MARK = "\uFEFF";
+const EMPTY_CELL = "  ";
+const SEPARATOR_CELL = " --- ";
+
+/**
+ * Pad or truncate a row's cells to `count`, keeping its leading pipe style.
+ * Padded rows always get a trailing pipe, or a trailing empty cell would be dropped.
+ */
+function resizeRow(row, count, fillCell) {
+  const cells = parseTableRow(row);
+  const resized = cells.length > count ? cells.slice(0, count) : [...cells, ...new Array(count - cells.length).fill(fillCell)];
+  return buildTableRow(resized, { ...getPipeStyle(row), trailingPipe: getPipeStyle(row).trailingPipe || cells.length < count });
+}
+
+/**
+ * Lint rules by ID.
+ * checkTable(table, options) gets a findTables() model; fixTable(rows, options) gets the table rows
+ * (container prefixes stripped) and returns the fixed rows; checkLine(line, lineNumber) gets lines outside tables.
+ */
+export const LINT_RULES = {
+  "column-count": {
+    severity: "error",
+    description: "Every row has as many cells as the header",
+    checkTable({ columnCount, header, body }) {
+      return [header, ...body]
+        .filter((row) => row.cells.length !== columnCount)
+        .map((row) => {
+          const missing = row.cells.length < columnCount;
+          return {
+            line: row.line,
+            column: missing ? row.prefix.length + row.raw.length + 1 : row.cells[columnCount].column,
+            message: `Row has ${row.cells.length} cell(s), the header has ${columnCount}`,
+            fixable: missing,
+          };
+        });
+    },
+    fixTable(rows) {
+      const headerCount = parseTableRow(rows[0]).length;
+      return rows.map((row, idx) => (idx === 1 || parseTableRow(row).length >= headerCount ? row : resizeRow(row, headerCount, EMPTY_CELL)));
+    },
+  },
+
+  "separator-column-count": {
+    severity: "error",
+    description: "The separator row has as many cells as the header",
+    checkTable({ columnCount, separator }) {
+      if (separator.cells.length === columnCount) {
+        return [];
+      }
+      return [
+        {
+          line: separator.line,
+          column: separator.prefix.length + 1,
+          message: `Separator row has ${separator.cells.length} cell(s), the header has ${columnCount}`,
+          fixable: true,
+        },
+      ];
+    },
+    fixTable(rows) {
+      const headerCount = parseTableRow(rows[0]).length;
+      return rows.map((row, idx) => (idx === 1 && parseTableRow(row).length !== headerCount ? resizeRow(row, headerCount, SEPARATOR_CELL) : row));
+    },
+  },
+
+  "table-alignment": {
+    severity: "warning",
+    description: "Cells are compensated for emoji and wide characters (as `fix` mode does)",
+    checkTable({ header, separator, body }, options) {
+      const rows = [header, separator, ...body];
+      const processed = processTable(
+        rows.map((row) => row.raw),
+        options,
+      );
+      const rowIdx = processed.findIndex((row, idx) => row !== rows[idx].raw);
+      if (rowIdx === -1) {
+        return [];
+      }
+      const { raw, prefix, line } = rows[rowIdx];
+      let charIdx = 0;
+      while (charIdx < raw.length && raw[charIdx] === processed[rowIdx][charIdx]) {
+        charIdx++;
+      }
+      return [{ line, column: prefix.length + charIdx + 1, message: "Table is not aligned for emoji/wide characters", fixable: true }];
+    },
+    fixTable(rows, options) {
+      return processTable(rows, options);
+    },
+  },
+
+  "stray-ideographic-space": {
+    severity: "warning",
+    description: "No ideographic spaces (U+3000) outside tables",
+    checkLine(line, lineNumber) {
+      const idx = line.indexOf(IDEOGRAPHIC_SPACE);
+      return idx === -1 ? [] : [{ line: lineNumber, column: idx + 1, message: "Ideographic space (U+3000) outside a table", fixable: false }];
+    },
+  },
+};
+
+/**
+ * Resolve rule severities: the defaults with `overrides` ({ ruleId: "error" | "warning" | "off" }) applied.
+ * Throws for unknown rules or severities.
+ */
+export function resolveLintRules(overrides = {}) {
+  const severities = Object.fromEntries(Object.entries(LINT_RULES).map(([id, rule]) => [id, rule.severity]));
+  for (const [id, severity] of Object.entries(overrides)) {
+    if (!Object.hasOwn(LINT_RULES, id)) {
+      throw new Error(`Unknown lint rule: ${id}`);
+    }
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(`Lint rule ${id} severity must be one of ${LINT_SEVERITIES.join(", ")}`);
+    }
+    severities[id] = severity;
+  }
+  return severities;
+}
+
+/** Get the enabled rules as [id, rule, severity] entries */
+function getEnabledRules(overrides) {
+  const severities = resolveLintRules(overrides);
+  return Object.entries(LINT_RULES)
+    .filter(([id]) => severities[id] !== "off")
+    .map(([id, rule]) => [id, rule, severities[id]]);
+}
+
+/**
+ * Lint markdown content.
+ * Options: rules ({ ruleId: severity } overrides), syntax ("mdx" or "md"), plus the table processing options for table-alignment.
+ * Returns diagnostics sorted by position: [{ rule, severity, line, column, message, fixable }]
+ */
+export function lintContent(content, { rules = {}, ...options } = {}) {
+  const enabled = getEnabledRules(rules);
+  const tableLines = new Set();
+  const diagnostics = [];
+
+  for (const table of findTables(content, options)) {
+    for (let line = table.startLine; line <= table.endLine; line++) {
+      tableLines.add(line);
+    }
+    for (const [id, rule, severity] of enabled.filter(([, rule]) => rule.checkTable)) {
+      diagnostics.push(...rule.checkTable(table, options).map((diagnostic) => ({ rule: id, severity, ...diagnostic })));
+    }
+  }
+
+  // Lines as table traversal sees them: BOM stripped, any line ending
+  const lines = (content.startsWith(BYTE_ORDER_MARK) ? content.slice(1) : content).split(/\r\n|\r|\n/);
+  const skipped = findSkippedLines(lines, options);
+  lines.forEach((line, idx) => {
+    if (skipped[idx] || tableLines.has(idx + 1)) {
+      return;
+    }
+    for (const [id, rule, severity] of enabled.filter(([, rule]) => rule.checkLine)) {
+      diagnostics.push(...rule.checkLine(line, idx + 1).map((diagnostic) => ({ rule: id, severity, ...diagnostic })));
+    }
+  });
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/** Apply the autofixes of the enabled rules to every table (structure first, then alignment) */
+export function fixLintProblems(content, { rules = {}, ...options } = {}) {
+  const fixers = getEnabledRules(rules).filter(([, rule]) => rule.fixTable);
+  return traverseMarkdownTables(content, (tableRows) => fixers.reduce((rows, [, rule]) => rule.fixTable(rows, options), tableRows), options);
+}
+
+/**
+ * Lint a file; with `fix`, apply autofixes first and write the file if it changed.
+ * The syntax comes from the file extension unless `options.syntax` is set.
+ * Returns { file, diagnostics, fixed, error } (remaining diagnostics after fixing).
+ */
+export function lintFile(filePath, { fix = false, ...lintOptions } = {}) {
+  const options = { syntax: getMarkdownSyntax(filePath), ...lintOptions };
+  try {
+    const content = fs.readFileSync(filePath, "utf8");
+    const fixedContent = fix ? fixLintProblems(content, options) : content;
+    const fixed = fixedContent !== content;
+    if (fixed) {
+      fs.writeFileSync(filePath, fixedContent, "utf8");
+    }
+    return { file: filePath, diagnostics: lintContent(fixedContent, options), fixed, error: null };
+  } catch (err) {
+    return { file: filePath, diagnostics: [], fixed: false, error: err.message };
+  }
+}
@@ -0,0 +1,360 @@
+/**
+ * Language server for editors (fix-md-tables-lsp, no dependencies).
+ *
+ * Speaks LSP over stdio (JSON-RPC messages framed by a Content-Length header) and provides:
+ * - textDocument/formatting and rangeFormatting: `fixTableAlignment` as minimal edits on the changed table rows
+ * - diagnostics for misaligned tables, published when a document is opened or changed
+ * - code actions "Fix table alignment" and "Remove ideographic spaces" (`cleanTableAlignment`)
+ *
+ * Settings come from the project configuration (see config.mjs) found from the workspace root,
+ * not from Prettier. MDX rules apply to `.mdx` documents (or languageId "mdx"). Line endings are left to the editor. Documents are synced in full, and
+ * positions are UTF-16 code units (the LSP default), which are JavaScript string indexes.
+ */
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { getDefaultConfig, loadConfig } from "./config.mjs";
+import { analyzeTables, cleanTableAlignment, findTables, fixTableAlignment, getMarkdownSyntax } from "./index.mjs";
+
+const SERVER_NAME = "fix-md-tables";
+const HEADER_SEPARATOR = "\r\n\r\n";
+const LINE_BREAK_REGEX = /\r\n|\r|\n/;
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const SEVERITY_WARNING = 2;
+const MESSAGE_TYPE_ERROR = 1;
+const ERROR_CODES = { parseError: -32700, invalidRequest: -32600, methodNotFound: -32601, invalidParams: -32602, internalError: -32603, serverNotInitialized: -32002 };
+
+export const CODE_ACTIONS = {
+  fix: { title: "Fix table alignment", kind: "quickfix" },
+  clean: { title: "Remove ideographic spaces", kind: "refactor.rewrite" },
+};
+
+/** Read the package version for serverInfo */
+function getServerVersion() {
+  return JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")).version;
+}
+
+// === Message Framing ===
+
+/** Encode a JSON-RPC message with its Content-Length header */
+export function encodeMessage(message) {
+  const body = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(body, "utf8")}${HEADER_SEPARATOR}${body}`;
+}
+
+/**
+ * Create a reader for a stream of framed messages. Returns a function to call with each chunk
+ * (Buffer or string); `onMessage(message)` is called for every complete message, and
+ * `onError(error)` for bodies that are not valid JSON or headers without a Content-Length.
+ */
+export function createMessageReader(onMessage, onError = () => {}) {
+  let buffer = Buffer.alloc(0);
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+    for (;;) {
+      const headerEnd = buffer.indexOf(HEADER_SEPARATOR);
+      if (headerEnd === -1) {
+        return;
+      }
+      const match = /^content-length: *(\d+)$/im.exec(buffer.subarray(0, headerEnd).toString("ascii"));
+      if (!match) {
+        buffer = buffer.subarray(headerEnd + HEADER_SEPARATOR.length);
+        onError(new Error("Message header has no Content-Length"));
+        continue;
+      }
+      const bodyStart = headerEnd + HEADER_SEPARATOR.length;
+      const bodyEnd = bodyStart + Number(match[1]);
+      if (buffer.length < bodyEnd) {
+        return;
+      }
+      const body = buffer.subarray(bodyStart, bodyEnd).toString("utf8");
+      buffer = buffer.subarray(bodyEnd);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (err) {
+        onError(err);
+        continue;
+      }
+      onMessage(message);
+    }
+  };
+}
+
+// === Text Edits ===
+
+/** Check if the code unit at `idx` is the second half of a surrogate pair (an edit must not start or end there) */
+function isLowSurrogateAt(str, idx) {
+  const code = str.charCodeAt(idx);
+  return code >= 0xdc00 && code <= 0xdfff;
+}
+
+/** Build the edit replacing the part of `oldLine` that differs from `newLine` (common prefix and suffix kept) */
+function createLineEdit(line, oldLine, newLine) {
+  let start = 0;
+  while (start < oldLine.length && start < newLine.length && oldLine[start] === newLine[start]) {
+    start++;
+  }
+  if (start > 0 && isLowSurrogateAt(oldLine, start)) {
+    start--;
+  }
+  let end = 0;
+  while (end < oldLine.length - start && end < newLine.length - start && oldLine.at(-1 - end) === newLine.at(-1 - end)) {
+    end++;
+  }
+  if (end > 0 && isLowSurrogateAt(oldLine, oldLine.length - end)) {
+    end--;
+  }
+  return {
+    range: { start: { line, character: start }, end: { line, character: oldLine.length - end } },
+    newText: newLine.slice(start, newLine.length - end),
+  };
+}
+
+/**
+ * Compute the LSP text edits that turn `oldContent` into `newContent`, one per changed line.
+ * Table processing rewrites rows in place, so lines are compared by position; if the line count
+ * differs, the whole document is replaced. `lines` (a Set of 0-based line numbers) limits the edits.
+ */
+export function computeTextEdits(oldContent, newContent, lines = null) {
+  const oldLines = oldContent.split(LINE_BREAK_REGEX);
+  const newLines = newContent.split(LINE_BREAK_REGEX);
+  if (oldLines.length !== newLines.length) {
+    const end = { line: oldLines.length - 1, character: oldLines.at(-1).length };
+    return oldContent === newContent ? [] : [{ range: { start: { line: 0, character: 0 }, end }, newText: newContent }];
+  }
+  return oldLines.flatMap((oldLine, idx) => (oldLine === newLines[idx] || (lines && !lines.has(idx)) ? [] : [createLineEdit(idx, oldLine, newLines[idx])]));
+}
+
+/** Get the 0-based lines of every table overlapping an LSP range (whole tables, even if partly selected) */
+function getTableLines(content, range, options) {
+  const lines = new Set();
+  for (const { startLine, endLine } of findTables(content, options)) {
+    if (startLine - 1 <= range.end.line && endLine - 1 >= range.start.line) {
+      for (let line = startLine - 1; line < endLine; line++) {
+        lines.add(line);
+      }
+    }
+  }
+  return lines;
+}
+
+// === Diagnostics ===
+
+/** Diagnostics for the tables `fix` would change, each covering the whole table */
+export function getDiagnostics(content, options = {}) {
+  const lines = content.split(LINE_BREAK_REGEX);
+  return analyzeTables(content, "fix", options)
+    .filter((table) => table.changed)
+    .map(({ startLine, endLine, columns }) => ({
+      range: { start: { line: startLine - 1, character: 0 }, end: { line: endLine - 1, character: lines[endLine - 1].length } },
+      severity: SEVERITY_WARNING,
+      code: "table-alignment",
+      source: SERVER_NAME,
+      message: `Table is not aligned for emoji/wide characters (column${columns.length === 1 ? "" : "s"} ${columns.join(", ")})`,
+    }));
+}
+
+// === Server ===
+
+/** An error answered to the client as a JSON-RPC error response */
+function createResponseError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/** Get the directory configuration is loaded from: the workspace root, or `cwd` */
+function getWorkspaceRoot(params, cwd) {
+  if (params.rootUri?.startsWith("file:")) {
+    return fileURLToPath(params.rootUri);
+  }
+  return params.rootPath || cwd;
+}
+
+/** Check if a code action kind was requested (`only` lists kinds or their parents, e.g. "refactor") */
+function isKindRequested(kind, only) {
+  return !only || only.some((requested) => kind === requested || kind.startsWith(requested + "."));
+}
+
+/**
+ * Create a language server. `send(message)` writes a message to the client and `onExit(code)` is
+ * called on the exit notification (0 after a shutdown request, 1 otherwise). Configuration is
+ * loaded from the workspace root, or `cwd` if the client has none.
+ * Returns { handleMessage(message) }; messages are handled one at a time, in order.
+ */
+export function createLanguageServer({ send, onExit = () => {}, cwd = process.cwd() }) {
+  const documents = new Map();
+  let configOptions = null; // Set by initialize
+  let shuttingDown = false;
+  let queue = Promise.resolve();
+
+  /** Get the text of an open document and the options to process it with (the configuration plus its syntax) */
+  function getDocument(uri) {
+    if (!documents.has(uri)) {
+      throw createResponseError(ERROR_CODES.invalidParams, `Document is not open: ${uri}`);
+    }
+    const { content, syntax } = documents.get(uri);
+    return { content, options: { ...configOptions, syntax } };
+  }
+
+  function publishDiagnostics(uri) {
+    let diagnostics = [];
+    if (documents.has(uri)) {
+      const { content, options } = getDocument(uri);
+      diagnostics = getDiagnostics(content, options);
+    }
+    send({ jsonrpc: "2.0", method: "textDocument/publishDiagnostics", params: { uri, diagnostics } });
+  }
+
+  const requests = {
+    async initialize(params) {
+      let config;
+      try {
+        config = await loadConfig(getWorkspaceRoot(params, cwd));
+      } catch (err) {
+        config = getDefaultConfig();
+        send({ jsonrpc: "2.0", method: "window/showMessage", params: { type: MESSAGE_TYPE_ERROR, message: `${SERVER_NAME}: ${err.message}` } });
+      }
+      configOptions = { ...config.compensation, target: config.target, customTarget: config.customTarget };
+      return {
+        capabilities: {
+          textDocumentSync: { openClose: true, change: TEXT_DOCUMENT_SYNC_FULL },
+          documentFormattingProvider: true,
+          documentRangeFormattingProvider: true,
+          codeActionProvider: { codeActionKinds: [CODE_ACTIONS.fix.kind, CODE_ACTIONS.clean.kind] },
+        },
+        serverInfo: { name: SERVER_NAME, version: getServerVersion() },
+      };
+    },
+
+    shutdown() {
+      shuttingDown = true;
+      return null;
+    },
+
+    "textDocument/formatting"({ textDocument }) {
+      const { content, options } = getDocument(textDocument.uri);
+      return computeTextEdits(content, fixTableAlignment(content, options));
+    },
+
+    "textDocument/rangeFormatting"({ textDocument, range }) {
+      const { content, options } = getDocument(textDocument.uri);
+      return computeTextEdits(content, fixTableAlignment(content, options), getTableLines(content, range, options));
+    },
+
+    "textDocument/codeAction"({ textDocument, range, context = {} }) {
+      const { content, options } = getDocument(textDocument.uri);
+      const lines = getTableLines(content, range, options);
+      const actions = [];
+      for (const [mode, { title, kind }] of Object.entries(CODE_ACTIONS)) {
+        if (!isKindRequested(kind, context.only)) {
+          continue;
+        }
+        const processed = mode === "fix" ? fixTableAlignment(content, options) : cleanTableAlignment(content, options);
+        const edits = computeTextEdits(content, processed, lines);
+        if (edits.length === 0) {
+          continue;
+        }
+        const action = { title, kind, edit: { changes: { [textDocument.uri]: edits } } };
+        if (mode === "fix") {
+          action.diagnostics = (context.diagnostics || []).filter((diagnostic) => diagnostic.source === SERVER_NAME);
+          action.isPreferred = true;
+        }
+        actions.push(action);
+      }
+      return actions;
+    },
+  };
+
+  const notifications = {
+    exit() {
+      onExit(shuttingDown ? 0 : 1);
+    },
+
+    "textDocument/didOpen"({ textDocument }) {
+      const syntax = textDocument.languageId === "mdx" ? "mdx" : getMarkdownSyntax(textDocument.uri);
+      documents.set(textDocument.uri, { content: textDocument.text, syntax });
+      publishDiagnostics(textDocument.uri);
+    },
+
+    "textDocument/didChange"({ textDocument, contentChanges }) {
+      // Full sync: the last change holds the whole document
+      const syntax = documents.get(textDocument.uri)?.syntax ?? getMarkdownSyntax(textDocument.uri);
+      documents.set(textDocument.uri, { content: contentChanges.at(-1).text, syntax });
+      publishDiagnostics(textDocument.uri);
+    },
+
+    "textDocument/didClose"({ textDocument }) {
+      documents.delete(textDocument.uri);
+      publishDiagnostics(textDocument.uri);
+    },
+  };
+
+  /** Run a request handler and build its response */
+  async function handleRequest({ id, method, params = {} }) {
+    try {
+      if (!Object.hasOwn(requests, method)) {
+        throw createResponseError(ERROR_CODES.methodNotFound, `Unhandled method: ${method}`);
+      }
+      if (!configOptions && method !== "initialize") {
+        throw createResponseError(ERROR_CODES.serverNotInitialized, "Server is not initialized");
+      }
+      if (shuttingDown) {
+        throw createResponseError(ERROR_CODES.invalidRequest, "Server is shutting down");
+      }
+      return { jsonrpc: "2.0", id, result: await requests[method](params) };
+    } catch (err) {
+      return { jsonrpc: "2.0", id, error: { code: err.code ?? ERROR_CODES.internalError, message: err.message } };
+    }
+  }
+
+  /** Show an error in the client's log */
+  function logError(message) {
+    send({ jsonrpc: "2.0", method: "window/logMessage", params: { type: MESSAGE_TYPE_ERROR, message: `${SERVER_NAME}: ${message}` } });
+  }
+
+  /** Handle one message: answer requests, apply notifications (unknown notifications are ignored) */
+  async function dispatch(message) {
+    if (typeof message !== "object" || message === null || Array.isArray(message)) {
+      send({ jsonrpc: "2.0", id: null, error: { code: ERROR_CODES.invalidRequest, message: "Message must be a JSON object" } });
+    } else if (message.id !== undefined && message.method) {
+      send(await handleRequest(message));
+    } else if (Object.hasOwn(notifications, message.method) && (configOptions || message.method === "exit")) {
+      try {
+        notifications[message.method](message.params || {});
+      } catch (err) {
+        logError(`${message.method}: ${err.message}`);
+      }
+    }
+  }
+
+  return {
+    /** Queue a message; errors are logged so later messages are still handled */
+    handleMessage(message) {
+      queue = queue.then(() => dispatch(message)).catch((err) => logError(err.message));
+      return queue;
+    },
+  };
+}
+
+/**
+ * Run the language server on a pair of streams (stdio by default) until the client sends exit or
+ * closes the input. Resolves with the exit code.
+ */
+export function startServer(input = process.stdin, output = process.stdout) {
+  return new Promise((resolve) => {
+    const server = createLanguageServer({
+      send: (message) => output.write(encodeMessage(message)),
+      onExit: (code) => {
+        input.destroy();
+        resolve(code);
+      },
+    });
+    const read = createMessageReader(
+      (message) => server.handleMessage(message),
+      (err) => output.write(encodeMessage({ jsonrpc: "2.0", id: null, error: { code: ERROR_CODES.parseError, message: err.message } })),
+    );
+    input.on("data", read);
+    input.on("end", () => resolve(1));
+  });
+}
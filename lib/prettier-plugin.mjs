@@ -0,0 +1,68 @@
+/**
+ * Prettier plugin that applies fix-md-tables inside Prettier's markdown printer.
+ *
+ * Wraps the built-in markdown, mdx and remark parsers:
+ * - On the way in, ideographic spaces are stripped from tables (like `--clean`),
+ *   so Prettier pads cells from a clean state.
+ * - On the way out, the printed document gets `fixTableAlignment` applied,
+ *   so `prettier --write` produces aligned tables and `prettier --check` stays stable.
+ *
+ * Usage (.prettierrc): { "plugins": ["fix-md-tables/prettier"] }
+ */
+
+import { doc as prettierDoc } from "prettier";
+import { parsers as markdownParsers, printers as markdownPrinters } from "prettier/plugins/markdown";
+import { cleanTableAlignment, fixTableAlignment } from "./index.mjs";
+
+export const AST_FORMAT = "fix-md-tables-mdast";
+
+const baseParserNames = ["markdown", "mdx", "remark"];
+
+/**
+ * Check if Prettier is formatting markdown embedded in another document (e.g. a ```markdown fence).
+ * Tables in code blocks are left alone, matching the CLI.
+ */
+function isEmbedded(options) {
+  return Boolean(options.parentParser);
+}
+
+/** Get the fix-md-tables syntax for Prettier's parser: MDX rules only apply to the mdx parser */
+function getSyntax(options) {
+  return options.parser === "mdx" ? "mdx" : "md";
+}
+
+/** Wrap a built-in parser: clean ideographic spaces before parsing, print with our printer */
+function wrapParser(parser) {
+  return {
+    ...parser,
+    astFormat: AST_FORMAT,
+    preprocess(text, options) {
+      const preprocessed = parser.preprocess ? parser.preprocess(text, options) : text;
+      return isEmbedded(options) ? preprocessed : cleanTableAlignment(preprocessed, { syntax: getSyntax(options) });
+    },
+  };
+}
+
+const { hardline, join } = prettierDoc.builders;
+const { printDocToString } = prettierDoc.printer;
+const mdastPrinter = markdownPrinters.mdast;
+
+/** Print the root node with the built-in printer, then fix table alignment in the result */
+function print(path, options, printChildren, ...rest) {
+  const doc = mdastPrinter.print(path, options, printChildren, ...rest);
+  if (path.node.type !== "root" || isEmbedded(options)) {
+    return doc;
+  }
+
+  // Print with LF and rejoin with hardlines: Prettier applies the configured endOfLine to those
+  const { formatted } = printDocToString(doc, { ...options, endOfLine: "lf" });
+  return join(hardline, fixTableAlignment(formatted, { syntax: getSyntax(options) }).split("\n"));
+}
+
+export const parsers = Object.fromEntries(baseParserNames.map((name) => [name, wrapParser(markdownParsers[name])]));
+
+export const printers = {
+  [AST_FORMAT]: { ...mdastPrinter, print },
+};
+
+export default { parsers, printers };
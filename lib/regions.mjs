@@ -0,0 +1,235 @@
+/**
+ * Find the lines of markdown/MDX content that are not markdown text, so tables are never
+ * detected inside them:
+ * - YAML (`---`) and TOML (`+++`) front matter at the start of the file
+ * - fenced code blocks (``` and ~~~) and indented code blocks (4+ spaces, outside paragraphs)
+ * - HTML blocks (CommonMark types 1-7: `<pre>`, `<!-- -->`, `<div>`, a lone tag line, ...)
+ * - MDX ESM (`import`/`export` blocks), JSX tags and `{expression}` blocks, including
+ *   multi-line props and template strings (MDX syntax only: in plain markdown these lines are paragraphs)
+ *
+ * This is a line-based approximation of the CommonMark/MDX block rules, not a full parser:
+ * brace and template-literal balance is tracked to find where JS in MDX ends.
+ */
+
+// CommonMark HTML block type 1 (raw text elements, end at the closing tag)
+const RAW_HTML_START_REGEX = /^<(pre|script|style|textarea)(?:\s|>|$)/i;
+const RAW_HTML_END_REGEX = /<\/(?:pre|script|style|textarea)>/i;
+// Types 2-5: comments, processing instructions, declarations and CDATA, each with its own end marker
+const HTML_DELIMITED_BLOCKS = [
+  { start: /^<!--/, end: "-->" },
+  { start: /^<\?/, end: "?>" },
+  { start: /^<!\[CDATA\[/, end: "]]>" },
+  { start: /^<![A-Za-z]/, end: ">" },
+];
+// Type 6: block-level HTML tags, end at a blank line
+const HTML_BLOCK_TAGS = new Set(
+  (
+    "address article aside base basefont blockquote body caption center col colgroup dd details dialog dir div dl dt " +
+    "fieldset figcaption figure footer form frame frameset h1 h2 h3 h4 h5 h6 head header hr html iframe legend li link " +
+    "main menu menuitem nav noframes ol optgroup option p param search section summary table tbody td tfoot th thead " +
+    "title tr track ul"
+  ).split(" "),
+);
+const HTML_BLOCK_TAG_REGEX = /^<\/?([A-Za-z][A-Za-z0-9-]*)(?:\s|\/?>|$)/;
+// Type 7: a complete open or closing tag alone on its line (cannot interrupt a paragraph)
+const HTML_LONE_TAG_REGEX = /^(?:<[A-Za-z][A-Za-z0-9-]*(?:\s+[^<>]*)?\/?>|<\/[A-Za-z][A-Za-z0-9-]*\s*>)\s*$/;
+// MDX: JSX open/closing tags (components, member/namespaced names, fragments) and expression blocks
+const JSX_START_REGEX = /^(?:<\/?(?:[A-Z]|[a-z][\w-]*[.:]|>)|\{)/;
+const ESM_START_REGEX = /^(?:import|export)\s/;
+const FRONT_MATTER_FENCES = { "---": ["---", "..."], "+++": ["+++"] };
+const LIST_ITEM_REGEX = /^([ \t]*)(?:[-*+]|\d{1,9}[.)])(?:[ \t]+|$)/;
+const INDENTED_CODE_WIDTH = 4;
+
+/** Check if a line starts a fenced code block */
+export function isCodeFenceStart(line) {
+  const trimmed = line.trim();
+  return trimmed.startsWith("```") || trimmed.startsWith("~~~");
+}
+
+/** Check if a line ends a fenced code block (per CommonMark: fence + optional whitespace only) */
+export function isCodeFenceEnd(line, fence) {
+  const trimmed = line.trim();
+  // Escape fence chars for regex safety, then match fence + optional whitespace only
+  const escapedFence = fence.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+  const fencePattern = new RegExp(String.raw`^${escapedFence}\s*$`);
+  return fencePattern.test(trimmed);
+}
+
+/** Check if a line is empty or whitespace only */
+function isBlank(line) {
+  return line.trim() === "";
+}
+
+/** Get the indentation width of a line, with tabs advancing to the next multiple of 4 */
+export function getIndentWidth(line) {
+  let width = 0;
+  for (const char of line) {
+    if (char === " ") {
+      width++;
+    } else if (char === "\t") {
+      width += INDENTED_CODE_WIDTH - (width % INDENTED_CODE_WIDTH);
+    } else {
+      break;
+    }
+  }
+  return width;
+}
+
+/** Count the lines of front matter at the start of the file (0 if there is none) */
+export function getFrontMatterLength(lines) {
+  const closers = FRONT_MATTER_FENCES[lines[0]?.trimEnd()];
+  if (!closers) {
+    return 0;
+  }
+  const endIdx = lines.findIndex((line, idx) => idx > 0 && closers.includes(line.trimEnd()));
+  return endIdx === -1 ? 0 : endIdx + 1;
+}
+
+/**
+ * Update JS/JSX nesting state with one line: depth of open brackets, whether a template literal
+ * is open, and whether a JSX tag is still open (its `>` not reached). Quoted strings are skipped
+ * within the line; expressions nested in templates (`${...}`) are not tracked.
+ */
+function scanJs(state, line) {
+  let { depth, inTemplate, inTag } = state;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === "\\") {
+      i++;
+    } else if (inTemplate) {
+      inTemplate = char !== "`";
+    } else if (char === "`") {
+      inTemplate = true;
+    } else if (char === '"' || char === "'") {
+      const end = line.indexOf(char, i + 1);
+      i = end === -1 ? line.length : end;
+    } else if ("{[(".includes(char)) {
+      depth++;
+    } else if ("}])".includes(char)) {
+      depth = Math.max(0, depth - 1);
+    } else if (char === ">" && depth === 0) {
+      inTag = false;
+    }
+  }
+  return { depth, inTemplate, inTag };
+}
+
+/** Check if JS/JSX nesting state is balanced (no open bracket, template literal or tag) */
+function isBalanced({ depth, inTemplate, inTag }) {
+  return depth === 0 && !inTemplate && !inTag;
+}
+
+/**
+ * Try to start a region at a line. Returns the region state, or null for markdown text.
+ * `paragraphBefore` is true when the previous line is paragraph text (which some blocks can't interrupt),
+ * `codeIndent` is the indentation that starts an indented code block (4 more than the enclosing list item),
+ * and `mdx` enables the MDX ESM, JSX and expression rules.
+ */
+function startRegion(line, paragraphBefore, codeIndent, mdx) {
+  const indent = getIndentWidth(line);
+  if (indent >= codeIndent && !paragraphBefore && !isBlank(line)) {
+    return { type: "indented", indent: codeIndent };
+  }
+  if (isCodeFenceStart(line)) {
+    const match = line.trim().match(/^(`{3,}|~{3,})/);
+    return { type: "fence", fence: match ? match[1] : "```" };
+  }
+  if (indent > 3) {
+    return null;
+  }
+
+  const trimmed = line.trimStart();
+  if (mdx && ESM_START_REGEX.test(line) && !paragraphBefore) {
+    return { type: "esm", js: scanJs({ depth: 0, inTemplate: false, inTag: false }, line) };
+  }
+  if (mdx && JSX_START_REGEX.test(trimmed)) {
+    return { type: "jsx", js: scanJs({ depth: 0, inTemplate: false, inTag: trimmed.startsWith("<") }, trimmed) };
+  }
+  if (RAW_HTML_START_REGEX.test(trimmed)) {
+    return { type: "html", end: RAW_HTML_END_REGEX };
+  }
+  const delimited = HTML_DELIMITED_BLOCKS.find(({ start }) => start.test(trimmed));
+  if (delimited) {
+    return { type: "html", end: delimited.end };
+  }
+  const tagName = trimmed.match(HTML_BLOCK_TAG_REGEX)?.[1].toLowerCase();
+  if (HTML_BLOCK_TAGS.has(tagName) || (!paragraphBefore && HTML_LONE_TAG_REGEX.test(trimmed))) {
+    return { type: "html", end: null };
+  }
+  return null;
+}
+
+/** Check if a region ends with this line (the line itself belongs to the region) */
+function endsRegion(region, line, isFirstLine) {
+  switch (region.type) {
+    case "fence":
+      return !isFirstLine && isCodeFenceEnd(line, region.fence);
+    case "html":
+      if (region.end === null) {
+        return isBlank(line);
+      }
+      return typeof region.end === "string" ? line.includes(region.end, isFirstLine ? 2 : 0) : region.end.test(line);
+    case "jsx":
+      return isBalanced(region.js);
+    case "esm":
+      return isBalanced(region.js) && isBlank(line);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the lines that must not be scanned for tables.
+ * `syntax` is "mdx" (default) or "md"; MDX ESM/JSX/expression regions are only recognized in MDX.
+ * Returns an array of booleans, true for lines inside front matter, code, HTML or MDX ESM/JSX.
+ */
+export function findSkippedLines(lines, { syntax = "mdx" } = {}) {
+  const skipped = lines.map(() => false);
+  const frontMatterLength = getFrontMatterLength(lines);
+  skipped.fill(true, 0, frontMatterLength);
+
+  let region = null;
+  let listIndent = null; // Content column of the current list item, null outside lists
+  let paragraphBefore = false;
+
+  for (let i = frontMatterLength; i < lines.length; i++) {
+    const line = lines[i];
+    const blank = isBlank(line);
+
+    // Indented code ends at the first non-blank line with less indentation
+    if (region?.type === "indented" && !blank && getIndentWidth(line) < region.indent) {
+      region = null;
+    }
+
+    if (region) {
+      skipped[i] = true;
+      if (region.js && i > region.startIdx) {
+        region.js = scanJs(region.js, line);
+      }
+      if (endsRegion(region, line, false)) {
+        region = null;
+      }
+      paragraphBefore = false;
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM_REGEX);
+    if (listItem && getIndentWidth(line) < (listIndent ?? 0) + INDENTED_CODE_WIDTH) {
+      listIndent = listItem[0].length;
+    } else if (!blank && listIndent !== null && !paragraphBefore && getIndentWidth(line) < listIndent) {
+      listIndent = null; // Unindented text after a blank line ends the list
+    }
+
+    region = listItem ? null : startRegion(line, paragraphBefore, (listIndent ?? 0) + INDENTED_CODE_WIDTH, syntax === "mdx");
+    if (region) {
+      region.startIdx = i;
+      skipped[i] = true;
+      if (endsRegion(region, line, true)) {
+        region = null;
+      }
+    }
+    paragraphBefore = !region && !blank && !skipped[i];
+  }
+
+  return skipped;
+}
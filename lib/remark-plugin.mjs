@@ -0,0 +1,106 @@
+/**
+ * remark/unified plugin that fixes emoji table alignment on mdast `table` nodes.
+ *
+ * The transformer finds `table` nodes (from remark-gfm) by their source positions,
+ * applies `processTable` to the source slice of each table, and stores the result on
+ * the node. When remark-stringify serializes the tree, those tables are written from the
+ * compensated source instead of being re-padded (which would drop the compensation).
+ * Tables without positions (e.g. generated by other plugins) are serialized by the regular
+ * table serializer, then compensated the same way.
+ *
+ * Usage: unified().use(remarkParse).use(remarkGfm).use(remarkFixMdTables).use(remarkStringify)
+ * Register it after remark-gfm (its table serializer must be overridden, not override ours) and
+ * after plugins that edit table content, so the stored source slice stays current.
+ */
+
+import { hasUnescapedPipe, isTableSeparatorLine, processTable } from "./index.mjs";
+
+/** Key under `node.data` holding the compensated table source */
+const DATA_KEY = "fixMdTables";
+
+/** Recursively visit nodes of an mdast tree, calling visitor for each `table` node */
+function visitTables(node, visitor) {
+  if (node.type === "table") {
+    visitor(node);
+    return;
+  }
+  for (const child of node.children || []) {
+    visitTables(child, visitor);
+  }
+}
+
+/**
+ * Get the source lines of a table node, with container prefixes (e.g. `> `, list
+ * indentation) removed using the node's start column. Returns null if the slice
+ * does not look like a pipe table.
+ */
+export function getTableSourceRows(node, source) {
+  const { start, end } = node.position || {};
+  if (start?.offset === undefined || end?.offset === undefined) {
+    return null;
+  }
+
+  const lineStart = source.lastIndexOf("\n", start.offset - 1) + 1;
+  const rows = source
+    .slice(lineStart, end.offset)
+    .split(/\r?\n/)
+    .map((line) => line.slice(start.column - 1));
+
+  return rows.length >= 2 && isTableSeparatorLine(rows[1]) && rows.every(hasUnescapedPipe) ? rows : null;
+}
+
+/** Find the table handler registered by earlier to-markdown extensions (remark-gfm) */
+function findFallbackHandler(extensions, ownExtension) {
+  let handler;
+  for (const extension of extensions) {
+    if (extension === ownExtension) {
+      continue;
+    }
+    if (extension.extensions) {
+      handler = findFallbackHandler(extension.extensions, ownExtension) || handler;
+    }
+    if (extension.handlers?.table) {
+      handler = extension.handlers.table;
+    }
+  }
+  return handler;
+}
+
+/**
+ * remark plugin: apply fix-md-tables compensation to GFM tables.
+ * Requires remark-gfm (or another extension that produces `table` nodes).
+ * Options are compensation options, as for `processTable`.
+ */
+export function remarkFixMdTables(options = {}) {
+  const data = this.data();
+  const toMarkdownExtensions = data.toMarkdownExtensions || (data.toMarkdownExtensions = []);
+
+  const extension = {
+    handlers: {
+      table(node, parent, state, info) {
+        const fixed = node.data?.[DATA_KEY];
+        if (fixed) {
+          return fixed;
+        }
+        const fallback = findFallbackHandler(toMarkdownExtensions, extension);
+        if (!fallback) {
+          throw new Error("Cannot serialize table: remark-gfm is missing");
+        }
+        return processTable(fallback(node, parent, state, info).split("\n"), options).join("\n");
+      },
+    },
+  };
+  toMarkdownExtensions.push(extension);
+
+  return (tree, file) => {
+    const source = String(file.value ?? "");
+    visitTables(tree, (node) => {
+      const rows = getTableSourceRows(node, source);
+      if (rows) {
+        node.data = { ...node.data, [DATA_KEY]: processTable(rows, options).join("\n") };
+      }
+    });
+  };
+}
+
+export default remarkFixMdTables;
@@ -0,0 +1,138 @@
+/**
+ * Machine-readable reporters for CLI results (--reporter json|github|sarif).
+ *
+ * A reporter turns a run report into the text written to stdout:
+ *   { mode, check, files: [{ file, changed, written, tables: [{ startLine, endLine, changed, columns }], error }] }
+ * - json: the report itself, with a summary
+ * - github: GitHub Actions workflow commands (`::warning file=…,line=…::`), one per changed table
+ * - sarif: a SARIF 2.1.0 log for code-scanning UIs
+ */
+
+import fs from "node:fs";
+
+const TOOL_NAME = "fix-md-tables";
+const TOOL_URI = "https://github.com/JoobyPM/fix-md-tables";
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const RULE_ID = "table-alignment";
+const DONE_VERBS = { fix: "fixed", clean: "cleaned", format: "formatted" };
+const NEEDED_NOUNS = { fix: "fixing", clean: "cleaning", format: "formatting" };
+
+/** Read the package version for tool metadata */
+function getToolVersion() {
+  return JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")).version;
+}
+
+/** Count files that changed (or would change) and files that failed */
+function summarize(report) {
+  return {
+    files: report.files.length,
+    changed: report.files.filter((file) => file.changed).length,
+    errors: report.files.filter((file) => file.error).length,
+  };
+}
+
+/** Describe a changed table: "Table needs fixing (columns 1, 3)" or "Table fixed (columns 1, 3)" */
+function describeTable(table, { mode, check }) {
+  const columns = table.columns.length > 0 ? ` (column${table.columns.length === 1 ? "" : "s"} ${table.columns.join(", ")})` : "";
+  return check ? `Table needs ${NEEDED_NOUNS[mode]}${columns}` : `Table ${DONE_VERBS[mode]}${columns}`;
+}
+
+/** Yield [file, table] for every changed table in the report */
+function* changedTables(report) {
+  for (const file of report.files) {
+    for (const table of file.tables.filter((entry) => entry.changed)) {
+      yield [file, table];
+    }
+  }
+}
+
+/** JSON reporter: the full report with a summary */
+function formatJson(report) {
+  return JSON.stringify({ mode: report.mode, check: report.check, summary: summarize(report), files: report.files }, null, 2) + "\n";
+}
+
+/** Escape workflow command data (message) */
+function escapeData(value) {
+  return value.replaceAll("%", "%25").replaceAll("\r", "%0D").replaceAll("\n", "%0A");
+}
+
+/** Escape workflow command property values (file, title) */
+function escapeProperty(value) {
+  return escapeData(value).replaceAll(":", "%3A").replaceAll(",", "%2C");
+}
+
+/** GitHub reporter: warnings for tables needing changes in check mode, notices for changed tables otherwise */
+function formatGithub(report) {
+  const command = report.check ? "warning" : "notice";
+  const lines = [];
+  for (const [file, table] of changedTables(report)) {
+    const properties = `file=${escapeProperty(file.file)},line=${table.startLine},endLine=${table.endLine},title=${TOOL_NAME}`;
+    lines.push(`::${command} ${properties}::${escapeData(describeTable(table, report))}`);
+  }
+  for (const file of report.files.filter((entry) => entry.error)) {
+    lines.push(`::error file=${escapeProperty(file.file)},title=${TOOL_NAME}::${escapeData(file.error)}`);
+  }
+  return lines.map((line) => line + "\n").join("");
+}
+
+/** SARIF reporter: one result per changed table, file errors as tool execution notifications */
+function formatSarif(report) {
+  const results = [...changedTables(report)].map(([file, table]) => ({
+    ruleId: RULE_ID,
+    level: report.check ? "warning" : "note",
+    message: { text: describeTable(table, report) },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: file.file },
+          region: { startLine: table.startLine, endLine: table.endLine },
+        },
+      },
+    ],
+  }));
+
+  const notifications = report.files
+    .filter((file) => file.error)
+    .map((file) => ({
+      level: "error",
+      message: { text: file.error },
+      locations: [{ physicalLocation: { artifactLocation: { uri: file.file } } }],
+    }));
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version: getToolVersion(),
+            informationUri: TOOL_URI,
+            rules: [
+              {
+                id: RULE_ID,
+                name: "TableAlignment",
+                shortDescription: { text: "Markdown table is misaligned for emoji or wide characters" },
+                helpUri: TOOL_URI,
+              },
+            ],
+          },
+        },
+        invocations: [{ executionSuccessful: notifications.length === 0, toolExecutionNotifications: notifications }],
+        results,
+      },
+    ],
+  };
+  return JSON.stringify(log, null, 2) + "\n";
+}
+
+export const REPORTERS = { json: formatJson, github: formatGithub, sarif: formatSarif };
+
+/** Format a run report with the named reporter */
+export function formatReport(reporter, report) {
+  if (!Object.hasOwn(REPORTERS, reporter)) {
+    throw new Error(`Unknown reporter: ${reporter}`);
+  }
+  return REPORTERS[reporter](report);
+}
@@ -0,0 +1,97 @@
+/**
+ * Renderer target profiles for emoji compensation.
+ *
+ * How many ideographic spaces (U+3000) a cell needs depends on how the viewer renders emoji
+ * and U+3000. A target profile records the assumed widths (in columns of a regular character)
+ * and the compensation strategy to use. The built-in renderers all draw emoji and U+3000 as
+ * double-width cells, so their widths are the same (2 / 2) and they differ in strategy, that is
+ * in how much padding they need around the wide characters:
+ * - vscode (default): the original formula, tuned for VS Code's editor font
+ * - github: GitHub's code view; only the difference in wide-character count is compensated
+ * - terminal: terminals render emoji and U+3000 as exactly 2 columns (wcwidth), so no compensation
+ *   is added; use format mode to pad by display width instead
+ * - custom: the vscode profile with fields overridden by `customTarget`
+ *
+ * A strategy is a function `(maxWide, cellWide, options) => count` returning the number of
+ * U+3000 to add to a cell. `options` holds the profile widths and the compensation options.
+ * Strategies that compensate express the missing emoji width in U+3000, so they scale by
+ * `emojiWidth / ideographicSpaceWidth`.
+ * Profiles passed as objects may define their own `compensate` function instead of a strategy name.
+ */
+
+export const DEFAULT_TARGET = "vscode";
+
+/** Convert a count of emoji widths to a count of U+3000 */
+function toIdeographicSpaces(count, { emojiWidth, ideographicSpaceWidth }) {
+  return Math.round((count * emojiWidth) / ideographicSpaceWidth);
+}
+
+/** Built-in compensation strategies */
+export const STRATEGIES = {
+  /**
+   * Formula: base + (max - cell), where base = min(baseCompensation, max - 1)
+   * - Even cells with max emoji get base compensation for visual consistency
+   * - Base is capped (default 2) to avoid excessive compensation in high-emoji columns
+   * - For 0-emoji cells in high-emoji columns (max > 2), cap total at max - 1
+   *   to prevent over-compensation that would make the cell too wide (capPlainCells)
+   * - The result, in emoji widths, is scaled to U+3000 widths
+   */
+  "base-offset"(maxWide, cellWide, { baseCompensation, capPlainCells, ...widths }) {
+    const base = Math.max(0, Math.min(baseCompensation, maxWide - 1));
+    let compensation = base + maxWide - cellWide;
+
+    // For 0-emoji cells with max > 2: cap at max - 1
+    if (capPlainCells && cellWide === 0 && maxWide > 2) {
+      compensation = Math.min(compensation, maxWide - 1);
+    }
+    return toIdeographicSpaces(compensation, widths);
+  },
+
+  /** Fill the width of the wide characters the cell has fewer of than the widest cell, in U+3000 */
+  difference(maxWide, cellWide, widths) {
+    return toIdeographicSpaces(maxWide - cellWide, widths);
+  },
+
+  /** No compensation: the renderer already aligns wide characters */
+  none() {
+    return 0;
+  },
+};
+
+/** Built-in target profiles: assumed widths (columns) and compensation strategy */
+export const TARGETS = {
+  vscode: { emojiWidth: 2, ideographicSpaceWidth: 2, strategy: "base-offset" },
+  github: { emojiWidth: 2, ideographicSpaceWidth: 2, strategy: "difference" },
+  terminal: { emojiWidth: 2, ideographicSpaceWidth: 2, strategy: "none" },
+};
+
+export const TARGET_NAMES = [...Object.keys(TARGETS), "custom"];
+
+/** Build a resolved profile: named fields plus the `compensate` function of its strategy */
+function buildProfile(name, profile) {
+  if (typeof profile.compensate === "function") {
+    return { name, ...profile };
+  }
+  if (!Object.hasOwn(STRATEGIES, profile.strategy)) {
+    throw new Error(`Unknown compensation strategy: ${profile.strategy}`);
+  }
+  return { name, ...profile, compensate: STRATEGIES[profile.strategy] };
+}
+
+/**
+ * Resolve a target to a profile with a `compensate` function.
+ * `target` is a profile name ("vscode", "github", "terminal", "custom") or a profile object;
+ * for "custom", fields of `customTarget` override the default profile.
+ */
+export function resolveTarget(target = DEFAULT_TARGET, customTarget = {}) {
+  if (typeof target === "object" && target !== null) {
+    return target.name && typeof target.compensate === "function" ? target : buildProfile("custom", { ...TARGETS[DEFAULT_TARGET], ...target });
+  }
+  if (target === "custom") {
+    return buildProfile("custom", { ...TARGETS[DEFAULT_TARGET], ...customTarget });
+  }
+  if (!Object.hasOwn(TARGETS, target)) {
+    throw new Error(`Unknown target: ${target}`);
+  }
+  return buildProfile(target, TARGETS[target]);
+}
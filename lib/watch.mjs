@@ -0,0 +1,80 @@
+/**
+ * Debounced file watching for --watch mode (no dependencies).
+ *
+ * Directories are watched with `fs.watch` (non-recursive, so it works on every platform and
+ * Node version we support). Change events are collected and flushed to `onChange` once no new
+ * events arrived for the debounce delay, so an editor's burst of writes on save is handled once.
+ * Files written by the watcher's owner are registered with `ignoreWrite`, and the change events
+ * those writes cause are dropped, so fixing a file does not trigger another run.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export const DEFAULT_DEBOUNCE_MS = 100;
+
+/** Read a file, or return null if it can't be read (e.g. deleted between event and flush) */
+function readFileOrNull(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Watch directories and call `onChange(paths)` with the absolute paths that changed.
+ * Options: debounce (ms, default 100), filter(path) to select relevant paths.
+ * Returns { close(), ignoreWrite(path, content) }.
+ */
+export function createWatcher(directories, onChange, { debounce = DEFAULT_DEBOUNCE_MS, filter = () => true } = {}) {
+  const pending = new Set();
+  const ownWrites = new Map();
+  let timer = null;
+
+  /** Check if the file still has the content we wrote; such events are our own writes */
+  function isOwnWrite(filePath) {
+    if (!ownWrites.has(filePath)) {
+      return false;
+    }
+    if (readFileOrNull(filePath) === ownWrites.get(filePath)) {
+      return true;
+    }
+    ownWrites.delete(filePath); // Changed by someone else since
+    return false;
+  }
+
+  function flush() {
+    timer = null;
+    const paths = [...pending].filter((filePath) => !isOwnWrite(filePath));
+    pending.clear();
+    if (paths.length > 0) {
+      onChange(paths);
+    }
+  }
+
+  const watchers = [...new Set(directories.map((dir) => path.resolve(dir)))].map((dir) =>
+    fs.watch(dir, (eventType, filename) => {
+      if (!filename) {
+        return;
+      }
+      const filePath = path.join(dir, filename.toString());
+      if (!filter(filePath)) {
+        return;
+      }
+      pending.add(filePath);
+      clearTimeout(timer);
+      timer = setTimeout(flush, debounce);
+    }),
+  );
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watchers.forEach((watcher) => watcher.close());
+    },
+    ignoreWrite(filePath, content) {
+      ownWrites.set(path.resolve(filePath), content);
+    },
+  };
+}
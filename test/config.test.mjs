@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { findConfigFile, getDefaultConfig, loadConfig, normalizeConfig } from "../lib/config.mjs";
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "fix-md-tables-config-"));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/** Write a file relative to the temp directory */
+function writeFile(relativePath, content) {
+  const filePath = path.join(tmpDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+describe("normalizeConfig", () => {
+  it("merges settings over the defaults", () => {
+    const config = normalizeConfig({ exclude: ["vendor/"], extensions: ["markdown", ".mdown"], mode: "format" });
+    expect(config).toEqual({
+      ...getDefaultConfig(),
+      exclude: ["vendor/"],
+      extensions: [".markdown", ".mdown"],
+      mode: "format",
+    });
+  });
+
+  it("accepts compensation options", () => {
+    const config = normalizeConfig({ compensation: { baseCompensation: 1, capPlainCells: false } });
+    expect(config.compensation).toEqual({ baseCompensation: 1, capPlainCells: false });
+  });
+
+  it("accepts an endOfLine override", () => {
+    expect(normalizeConfig({}).endOfLine).toBe("auto");
+    expect(normalizeConfig({ endOfLine: "crlf" }).endOfLine).toBe("crlf");
+    expect(() => normalizeConfig({ endOfLine: "windows" }, "rc")).toThrow('"endOfLine" must be one of auto, lf, crlf, cr');
+  });
+
+  it("accepts a target and a custom target profile", () => {
+    expect(normalizeConfig({}).target).toBe("vscode");
+    const config = normalizeConfig({ target: "custom", customTarget: { emojiWidth: 3, strategy: "difference" } });
+    expect(config.target).toBe("custom");
+    expect(config.customTarget).toEqual({ emojiWidth: 3, strategy: "difference" });
+    expect(() => normalizeConfig({ target: "notepad" }, "rc")).toThrow('"target" must be one of vscode, github, terminal, custom');
+    expect(() => normalizeConfig({ customTarget: { width: 2 } }, "rc")).toThrow('unknown customTarget option "width"');
+    expect(() => normalizeConfig({ customTarget: { emojiWidth: 0 } }, "rc")).toThrow('"emojiWidth" must be positive');
+    expect(() => normalizeConfig({ customTarget: { strategy: "magic" } }, "rc")).toThrow('"strategy" must be one of base-offset, difference, none');
+    expect(() => normalizeConfig({ customTarget: { strategy: "none", emojiWidth: 3 } }, "rc")).toThrow('"emojiWidth" has no effect with strategy "none"');
+  });
+
+  it("accepts lint rule severities", () => {
+    expect(normalizeConfig({}).lint).toEqual({});
+    expect(normalizeConfig({ lint: { "column-count": "warning" } }).lint).toEqual({ "column-count": "warning" });
+    expect(() => normalizeConfig({ lint: ["column-count"] }, "rc")).toThrow('"lint" must be an object');
+    expect(() => normalizeConfig({ lint: { "column-count": true } }, "rc")).toThrow('lint rule "column-count" must be one of error, warning, off');
+  });
+
+  it("rejects unknown options and wrong types", () => {
+    expect(() => normalizeConfig({ bogus: true }, "rc")).toThrow('rc: unknown option(s) "bogus"');
+    expect(() => normalizeConfig({ include: "*.md" }, "rc")).toThrow('"include" must be an array of strings');
+    expect(() => normalizeConfig({ mode: "nope" }, "rc")).toThrow('"mode" must be one of fix, clean, format');
+    expect(() => normalizeConfig({ compensation: { base: 1 } }, "rc")).toThrow('unknown compensation option "base"');
+    expect(() => normalizeConfig({ compensation: { capPlainCells: "yes" } }, "rc")).toThrow("must be a boolean");
+    expect(() => normalizeConfig([], "rc")).toThrow("configuration must be an object");
+  });
+});
+
+describe("findConfigFile", () => {
+  it("returns null without a config", () => {
+    writeFile("package.json", JSON.stringify({ name: "x" }));
+    expect(findConfigFile(tmpDir)).toBe(null);
+  });
+
+  it("prefers rc files over package.json", () => {
+    writeFile("package.json", JSON.stringify({ "fix-md-tables": {} }));
+    const rcPath = writeFile(".fixmdtablesrc.json", "{}");
+    expect(findConfigFile(tmpDir)).toBe(rcPath);
+  });
+
+  it("searches parent directories", () => {
+    const rcPath = writeFile(".fixmdtablesrc", "{}");
+    fs.mkdirSync(path.join(tmpDir, "packages", "a"), { recursive: true });
+    expect(findConfigFile(path.join(tmpDir, "packages", "a"))).toBe(rcPath);
+  });
+});
+
+describe("loadConfig", () => {
+  it("returns defaults when no config exists", async () => {
+    expect(await loadConfig(tmpDir)).toEqual(getDefaultConfig());
+  });
+
+  it("loads .fixmdtablesrc as JSON", async () => {
+    const rcPath = writeFile(".fixmdtablesrc", JSON.stringify({ mode: "clean" }));
+    const config = await loadConfig(tmpDir);
+    expect(config.mode).toBe("clean");
+    expect(config.filepath).toBe(rcPath);
+    expect(config.root).toBe(tmpDir);
+  });
+
+  it("loads fix-md-tables.config.mjs", async () => {
+    writeFile("fix-md-tables.config.mjs", 'export default { include: ["docs/**"] };');
+    expect((await loadConfig(tmpDir)).include).toEqual(["docs/**"]);
+  });
+
+  it('loads the "fix-md-tables" key from package.json', async () => {
+    writeFile("package.json", JSON.stringify({ name: "x", "fix-md-tables": { exclude: ["CHANGELOG.md"] } }));
+    expect((await loadConfig(tmpDir)).exclude).toEqual(["CHANGELOG.md"]);
+  });
+
+  it("loads an explicit config path", async () => {
+    writeFile("config/tables.json", JSON.stringify({ mode: "format" }));
+    const config = await loadConfig(tmpDir, "config/tables.json");
+    expect(config.mode).toBe("format");
+    expect(config.root).toBe(path.join(tmpDir, "config"));
+  });
+
+  it("reports missing explicit configs and invalid JSON with the file path", async () => {
+    await expect(loadConfig(tmpDir, "missing.json")).rejects.toThrow("Config file not found");
+    const rcPath = writeFile(".fixmdtablesrc", "{ nope");
+    await expect(loadConfig(tmpDir)).rejects.toThrow(rcPath);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { IDEOGRAPHIC_SPACE_MARKER, showIdeographicSpaces, createUnifiedDiff } from "../lib/diff.mjs";
+
+describe("showIdeographicSpaces", () => {
+  it("replaces U+3000 with a visible marker", () => {
+    expect(showIdeographicSpaces("| A　| B |")).toBe(`| A${IDEOGRAPHIC_SPACE_MARKER}| B |`);
+    expect(showIdeographicSpaces("| A | B |")).toBe("| A | B |");
+  });
+});
+
+describe("createUnifiedDiff", () => {
+  it("returns an empty string for equal content", () => {
+    expect(createUnifiedDiff("a.md", "x\n", "x\n")).toBe("");
+  });
+
+  it("creates a hunk with context and visible ideographic spaces", () => {
+    const oldContent = "# T\n\n| A | B |\n| - | - |\n| ✅ | X |\n";
+    const newContent = "# T\n\n| A　| B |\n| - | - |\n| ✅ | X |\n";
+
+    expect(createUnifiedDiff("docs/a.md", oldContent, newContent)).toBe(
+      ["--- a/docs/a.md", "+++ b/docs/a.md", "@@ -1,5 +1,5 @@", " # T", " ", "-| A | B |", "+| A␣| B |", " | - | - |", " | ✅ | X |", ""].join("\n"),
+    );
+  });
+
+  it("groups consecutive changes so removals precede additions", () => {
+    const diff = createUnifiedDiff("a.md", "a\nb\nc\n", "a\nB\nC\n", { context: 0 });
+    expect(diff).toBe(["--- a/a.md", "+++ b/a.md", "@@ -2,2 +2,2 @@", "-b", "-c", "+B", "+C", ""].join("\n"));
+  });
+
+  it("splits CRLF and CR-only content into lines shown without their endings", () => {
+    const expected = ["--- a/a.md", "+++ b/a.md", "@@ -2,1 +2,1 @@", "-b", "+B", ""].join("\n");
+    expect(createUnifiedDiff("a.md", "a\r\nb\r\nc\r\n", "a\r\nB\r\nc\r\n", { context: 0 })).toBe(expected);
+    expect(createUnifiedDiff("a.md", "a\rb\rc\r", "a\rB\rc\r", { context: 0 })).toBe(expected);
+    expect(createUnifiedDiff("a.md", "a\r\nb\n", "a\nb\n")).toBe(["--- a/a.md", "+++ b/a.md", "@@ -1,2 +1,2 @@", "-a", "+a", " b", ""].join("\n"));
+  });
+
+  it("marks a last line without a line ending", () => {
+    expect(createUnifiedDiff("a.md", "a\nb", "a\nB")).toBe(
+      ["--- a/a.md", "+++ b/a.md", "@@ -1,2 +1,2 @@", " a", "-b", String.raw`\ No newline at end of file`, "+B", String.raw`\ No newline at end of file`, ""].join("\n"),
+    );
+    expect(createUnifiedDiff("a.md", "a\nb", "A\nb", { context: 1 })).toBe(["--- a/a.md", "+++ b/a.md", "@@ -1,2 +1,2 @@", "-a", "+A", " b", String.raw`\ No newline at end of file`, ""].join("\n"));
+  });
+
+  it("splits distant changes into separate hunks", () => {
+    const oldLines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+    const newLines = oldLines.map((line, i) => (i === 1 || i === 17 ? `${line}!` : line));
+    const diff = createUnifiedDiff("a.md", oldLines.join("\n"), newLines.join("\n"));
+
+    expect(diff.match(/^@@.*@@$/gm)).toEqual(["@@ -1,5 +1,5 @@", "@@ -15,6 +15,6 @@"]);
+  });
+});
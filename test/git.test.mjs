@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { getRepoRoot, getStagedFiles, getChangedFiles, readStagedFile, writeStagedFile } from "../lib/git.mjs";
+
+/** Run a git command in dir */
+function git(dir, ...args) {
+  return execFileSync("git", args, { cwd: dir, encoding: "utf8" });
+}
+
+describe("git helpers", () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "fix-md-tables-git-")));
+    git(root, "init", "-q", "-b", "main");
+    git(root, "config", "user.email", "test@example.com");
+    git(root, "config", "user.name", "Test");
+    fs.writeFileSync(path.join(root, "README.md"), "initial\n");
+    git(root, "add", ".");
+    git(root, "commit", "-qm", "initial");
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("finds the repository root from a subdirectory", () => {
+    fs.mkdirSync(path.join(root, "docs"));
+    expect(getRepoRoot(path.join(root, "docs"))).toBe(root);
+  });
+
+  it("lists staged files as absolute paths, skipping deletions", () => {
+    fs.mkdirSync(path.join(root, "docs"));
+    fs.writeFileSync(path.join(root, "docs", "a.md"), "a\n");
+    fs.writeFileSync(path.join(root, "unstaged.md"), "b\n");
+    git(root, "add", "docs/a.md");
+    git(root, "rm", "-q", "README.md");
+
+    expect(getStagedFiles(path.join(root, "docs"))).toEqual([path.join(root, "docs", "a.md")]);
+  });
+
+  it("reads and writes the staged blob without touching the working copy", () => {
+    const filePath = path.join(root, "README.md");
+    fs.writeFileSync(filePath, "staged\n");
+    git(root, "add", "README.md");
+    fs.writeFileSync(filePath, "staged\nunstaged\n");
+
+    expect(readStagedFile(filePath, root)).toBe("staged\n");
+    writeStagedFile(filePath, "fixed\n", root);
+    expect(git(root, "show", ":README.md")).toBe("fixed\n");
+    expect(fs.readFileSync(filePath, "utf8")).toBe("staged\nunstaged\n");
+  });
+
+  it("refuses to stage files that are not in the index", () => {
+    expect(() => writeStagedFile(path.join(root, "new.md"), "x", root)).toThrow("new.md is not staged");
+  });
+
+  it("lists files changed since the merge base with a ref", () => {
+    git(root, "checkout", "-qb", "feature");
+    fs.writeFileSync(path.join(root, "feature.md"), "x\n");
+    git(root, "add", ".");
+    git(root, "commit", "-qm", "feature");
+    fs.writeFileSync(path.join(root, "README.md"), "uncommitted\n");
+
+    expect(getChangedFiles("main", root).sort()).toEqual([path.join(root, "README.md"), path.join(root, "feature.md")]);
+    expect(() => getChangedFiles("missing-ref", root)).toThrow("git merge-base failed");
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import { globToRegExp, isGlobPattern, matchesGlob, matchesAnyGlob, toPosixPath } from "../lib/glob.mjs";
+
+describe("globToRegExp", () => {
+  it("matches * within a single path segment", () => {
+    expect(globToRegExp("*.md").test("README.md")).toBe(true);
+    expect(globToRegExp("*.md").test("docs/README.md")).toBe(false);
+  });
+
+  it("matches ** across directories", () => {
+    const regex = globToRegExp("docs/**/*.md");
+    expect(regex.test("docs/a.md")).toBe(true);
+    expect(regex.test("docs/guide/deep/a.md")).toBe(true);
+    expect(regex.test("other/a.md")).toBe(false);
+  });
+
+  it("supports ?, character classes and brace alternatives", () => {
+    expect(globToRegExp("?.md").test("a.md")).toBe(true);
+    expect(globToRegExp("[ab].md").test("b.md")).toBe(true);
+    expect(globToRegExp("[!ab].md").test("b.md")).toBe(false);
+    expect(globToRegExp("*.{md,mdx}").test("page.mdx")).toBe(true);
+    expect(globToRegExp("{docs,guides/{a,b}}/*.md").test("guides/b/x.md")).toBe(true);
+  });
+
+  it("escapes regex special characters", () => {
+    expect(globToRegExp("a+b (1).md").test("a+b (1).md")).toBe(true);
+    expect(globToRegExp("a.md").test("abmd")).toBe(false);
+  });
+});
+
+describe("matchesGlob", () => {
+  it("matches slash-less patterns against any path segment", () => {
+    expect(matchesGlob("docs/CHANGELOG.md", "CHANGELOG.md")).toBe(true);
+    expect(matchesGlob("vendor/lib/a.md", "vendor")).toBe(true);
+    expect(matchesGlob("docs/a.mdx", "*.mdx")).toBe(true);
+  });
+
+  it("matches patterns with a slash against the whole path", () => {
+    expect(matchesGlob("docs/a.md", "docs/*.md")).toBe(true);
+    expect(matchesGlob("x/docs/a.md", "docs/*.md")).toBe(false);
+  });
+
+  it("treats a trailing slash as everything below", () => {
+    expect(matchesGlob("vendor/a/b.md", "vendor/")).toBe(true);
+  });
+
+  it("normalizes Windows separators and leading ./", () => {
+    expect(matchesGlob(String.raw`docs\a.md`, "./docs/*.md")).toBe(true);
+  });
+});
+
+describe("matchesAnyGlob", () => {
+  it("matches if any pattern matches", () => {
+    expect(matchesAnyGlob("a.md", ["*.mdx", "*.md"])).toBe(true);
+    expect(matchesAnyGlob("a.txt", ["*.mdx", "*.md"])).toBe(false);
+    expect(matchesAnyGlob("a.md", [])).toBe(false);
+  });
+});
+
+describe("isGlobPattern", () => {
+  it("detects glob syntax", () => {
+    expect(isGlobPattern("docs/**/*.md")).toBe(true);
+    expect(isGlobPattern("{a,b}.md")).toBe(true);
+    expect(isGlobPattern("docs/readme.md")).toBe(false);
+  });
+});
+
+describe("toPosixPath", () => {
+  it("converts separators", () => {
+    expect(toPosixPath(String.raw`a\b\c.md`)).toBe("a/b/c.md");
+    expect(toPosixPath("./a.md")).toBe("a.md");
+  });
+});
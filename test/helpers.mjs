@@ -0,0 +1,17 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const tempDirs = [];
+
+/** Create a temp directory, removed by removeTempDirs (register it with `afterEach(removeTempDirs)`) */
+export function createTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fix-md-tables-test-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/** Remove the temp directories created since the last call */
+export function removeTempDirs() {
+  tempDirs.splice(0).forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseIgnoreFile, isIgnoredPath, loadIgnoreRules, createIgnoreMatcher } from "../lib/ignore.mjs";
+
+/** Check a path against ignore-file content */
+function ignored(content, relativePath, isDirectory = false) {
+  return isIgnoredPath(parseIgnoreFile(content), relativePath, isDirectory);
+}
+
+describe("parseIgnoreFile", () => {
+  it("skips blank lines and comments", () => {
+    expect(parseIgnoreFile("# comment\n\n  \ndist/\n")).toHaveLength(1);
+  });
+
+  it("parses negation, directory-only and anchored patterns", () => {
+    const [negated, directory, anchored] = parseIgnoreFile("!keep.md\nbuild/\n/docs/api\n");
+    expect(negated).toMatchObject({ negated: true, directoryOnly: false, anchored: false });
+    expect(directory).toMatchObject({ negated: false, directoryOnly: true, anchored: false });
+    expect(anchored).toMatchObject({ negated: false, directoryOnly: false, anchored: true });
+  });
+});
+
+describe("isIgnoredPath", () => {
+  it("matches unanchored patterns at any depth", () => {
+    expect(ignored("*.log\nCHANGELOG.md", "a/b/CHANGELOG.md")).toBe(true);
+    expect(ignored("*.log\nCHANGELOG.md", "README.md")).toBe(false);
+  });
+
+  it("ignores everything inside ignored directories", () => {
+    expect(ignored("dist/", "packages/a/dist/README.md")).toBe(true);
+    expect(ignored("dist/", "dist", false)).toBe(false); // Directory-only pattern, file named dist
+  });
+
+  it("anchors patterns containing a slash to the root", () => {
+    expect(ignored("/docs/api", "docs/api/gen.md")).toBe(true);
+    expect(ignored("/docs/api", "packages/docs/api/gen.md")).toBe(false);
+    expect(ignored("docs/**/generated.md", "docs/a/b/generated.md")).toBe(true);
+  });
+
+  it("lets later negations re-include files, but not inside ignored directories", () => {
+    expect(ignored("*.md\n!README.md", "README.md")).toBe(false);
+    expect(ignored("vendor/\n!vendor/keep.md", "vendor/keep.md")).toBe(true);
+  });
+
+  it("handles escaped leading characters", () => {
+    expect(ignored(String.raw`\#notes.md`, "#notes.md")).toBe(true);
+  });
+});
+
+describe("createIgnoreMatcher", () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "fix-md-tables-ignore-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("combines .gitignore, .prettierignore and .fixmdtablesignore", () => {
+    fs.writeFileSync(path.join(root, ".gitignore"), "dist/\n");
+    fs.writeFileSync(path.join(root, ".prettierignore"), "CHANGELOG.md\n");
+    fs.writeFileSync(path.join(root, ".fixmdtablesignore"), "vendor/\n");
+
+    expect(loadIgnoreRules(root)).toHaveLength(3);
+    const isIgnored = createIgnoreMatcher(root);
+    expect(isIgnored(path.join(root, "dist", "a.md"))).toBe(true);
+    expect(isIgnored(path.join(root, "CHANGELOG.md"))).toBe(true);
+    expect(isIgnored(path.join(root, "vendor"), true)).toBe(true);
+    expect(isIgnored(path.join(root, "README.md"))).toBe(false);
+  });
+
+  it("never ignores paths outside the root or when no ignore files exist", () => {
+    fs.writeFileSync(path.join(root, ".gitignore"), "*.md\n");
+    expect(createIgnoreMatcher(root)(path.join(os.tmpdir(), "outside.md"))).toBe(false);
+    expect(createIgnoreMatcher(root, [])(path.join(root, "a.md"))).toBe(false);
+  });
+});
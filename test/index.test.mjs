@@ -1,11 +1,25 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync, spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import * as prettier from "prettier";
 import {
   IDEOGRAPHIC_SPACE,
+  splitGraphemes,
+  isEmojiGrapheme,
   countEmoji,
+  isEastAsianWideGrapheme,
+  countWideChars,
   normalizeIdeographicSpaces,
   isTableSeparatorLine,
   isTableRow,
   parseTableRow,
+  splitTableCells,
+  hasUnescapedPipe,
+  getPipeStyle,
+  getContainerPrefix,
   calculateMaxEmojiPerColumn,
   compensateSeparatorCell,
   splitCellContent,
@@ -15,8 +29,53 @@ import {
   processTable,
   fixTableAlignment,
   cleanTableAlignment,
+  findChangedTables,
+  analyzeTables,
+  findTables,
+  serializeTable,
+  inspectFile,
+  inspectFileAsync,
+  processContent,
+  restoreRegularCell,
+  processFile,
+  processFiles,
+  checkFiles,
+  fixFiles,
+  findMarkdownFiles,
+  findMarkdownFilesAsync,
+  resolveFilesAsync,
+  detectLineEnding,
+  diffFile,
+  getDisplayWidth,
+  parseColumnAlignment,
+  padCell,
+  buildSeparatorCell,
+  formatTable,
+  formatTableAlignment,
   isMarkdownFile,
+  calculateCompensation,
+  resolveFiles,
+  expandGlob,
+  expandFileArgs,
+  parseCliArgs,
+  applyCliOptions,
+  getMarkdownSyntax,
 } from "../lib/index.mjs";
+import { getDefaultConfig, normalizeConfig } from "../lib/config.mjs";
+import { createUnifiedDiff } from "../lib/diff.mjs";
+import { createTempDir, removeTempDirs } from "./helpers.mjs";
+
+afterEach(removeTempDirs);
+
+/** Create a temp project with the given relative file paths, each holding `content` */
+function createProject(files, content = "") {
+  const root = createTempDir();
+  for (const file of files) {
+    fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return root;
+}
 
 describe("countEmoji", () => {
   it("counts emoji in a string", () => {
@@ -31,6 +90,72 @@ describe("countEmoji", () => {
     expect(countEmoji("⌚")).toBe(1); // U+231A-U+23FA
     expect(countEmoji("⭐")).toBe(1); // U+2B50-U+2B55
   });
+
+  it("counts each grapheme cluster once", () => {
+    expect(countEmoji("👨‍👩‍👧")).toBe(1); // ZWJ family sequence
+    expect(countEmoji("🏳️‍🌈")).toBe(1); // ZWJ sequence with VS16
+    expect(countEmoji("🇺🇦")).toBe(1); // Regional indicator flag
+    expect(countEmoji("🏴󠁧󠁢󠁥󠁮󠁧󠁿")).toBe(1); // Tag sequence flag
+    expect(countEmoji("👍🏽")).toBe(1); // Skin tone modifier
+    expect(countEmoji("1️⃣")).toBe(1); // Keycap sequence
+    expect(countEmoji("🇺🇦 👨‍👩‍👧 👍🏽")).toBe(3);
+  });
+
+  it("counts text-style characters only with VS16", () => {
+    expect(countEmoji("ℹ️")).toBe(1);
+    expect(countEmoji("ℹ")).toBe(0);
+    expect(countEmoji("™")).toBe(0);
+    expect(countEmoji("ℕ ℃")).toBe(0); // Letterlike symbols without emoji property
+    expect(countEmoji("☀\uFE0E")).toBe(0); // VS15 forces text presentation
+    expect(countEmoji("123 #")).toBe(0); // Digits and # are emoji bases, but only in keycaps
+  });
+});
+
+describe("isEastAsianWideGrapheme", () => {
+  it("detects CJK ideographs, kana, hangul and fullwidth forms", () => {
+    expect(isEastAsianWideGrapheme("漢")).toBe(true);
+    expect(isEastAsianWideGrapheme("か")).toBe(true);
+    expect(isEastAsianWideGrapheme("カ")).toBe(true);
+    expect(isEastAsianWideGrapheme("한")).toBe(true);
+    expect(isEastAsianWideGrapheme("，")).toBe(true); // Fullwidth comma
+    expect(isEastAsianWideGrapheme("。")).toBe(true); // Ideographic full stop
+    expect(isEastAsianWideGrapheme("𠮷")).toBe(true); // Extension B
+  });
+
+  it("rejects narrow and halfwidth characters", () => {
+    expect(isEastAsianWideGrapheme("a")).toBe(false);
+    expect(isEastAsianWideGrapheme("ｶ")).toBe(false); // Halfwidth katakana
+    expect(isEastAsianWideGrapheme("é")).toBe(false);
+  });
+});
+
+describe("countWideChars", () => {
+  it("counts emoji and East Asian Wide characters together", () => {
+    expect(countWideChars("完了 ✅")).toBe(3);
+    expect(countWideChars("Done")).toBe(0);
+    expect(countWideChars("状態：OK")).toBe(3); // Fullwidth colon
+  });
+});
+
+describe("splitGraphemes", () => {
+  it("splits into user-perceived characters", () => {
+    expect(splitGraphemes("a👨‍👩‍👧🇺🇦")).toEqual(["a", "👨‍👩‍👧", "🇺🇦"]);
+    expect(splitGraphemes("")).toEqual([]);
+  });
+});
+
+describe("isEmojiGrapheme", () => {
+  it("detects emoji-presentation graphemes", () => {
+    expect(isEmojiGrapheme("✅")).toBe(true);
+    expect(isEmojiGrapheme("⚠️")).toBe(true);
+    expect(isEmojiGrapheme("☝🏽")).toBe(true);
+  });
+
+  it("rejects text-presentation graphemes", () => {
+    expect(isEmojiGrapheme("a")).toBe(false);
+    expect(isEmojiGrapheme("⚠")).toBe(false);
+    expect(isEmojiGrapheme("1")).toBe(false);
+  });
 });
 
 describe("normalizeIdeographicSpaces", () => {
@@ -56,6 +181,18 @@ describe("isTableSeparatorLine", () => {
     expect(isTableSeparatorLine("| Header | Header |")).toBe(false);
     expect(isTableSeparatorLine("Not a table")).toBe(false);
   });
+
+  it("detects separators without outer pipes or inside containers", () => {
+    expect(isTableSeparatorLine("--- | ---")).toBe(true);
+    expect(isTableSeparatorLine(":-- | --:")).toBe(true);
+    expect(isTableSeparatorLine("> | --- | --- |")).toBe(true);
+    expect(isTableSeparatorLine("  --- | ---")).toBe(true);
+  });
+
+  it("rejects thematic breaks and empty cells", () => {
+    expect(isTableSeparatorLine("---")).toBe(false);
+    expect(isTableSeparatorLine("| | |")).toBe(false);
+  });
 });
 
 describe("isTableRow", () => {
@@ -70,6 +207,12 @@ describe("isTableRow", () => {
     expect(isTableRow("| Only start pipe")).toBe(false);
     expect(isTableRow("Only end pipe |")).toBe(false);
   });
+
+  it("rejects rows ending with an escaped pipe", () => {
+    expect(isTableRow(String.raw`| Cell \|`)).toBe(false);
+    expect(isTableRow(String.raw`| Cell \\|`)).toBe(true); // Escaped backslash, then pipe
+    expect(isTableRow("|")).toBe(false);
+  });
 });
 
 describe("parseTableRow", () => {
@@ -81,10 +224,70 @@ describe("parseTableRow", () => {
   it("preserves internal spacing", () => {
     expect(parseTableRow("|  Padded  |Normal|")).toEqual(["  Padded  ", "Normal"]);
   });
+
+  it("keeps escaped pipes inside cells", () => {
+    expect(parseTableRow(String.raw`| foo \| bar | B |`)).toEqual([String.raw` foo \| bar `, " B "]);
+    expect(parseTableRow("| `a \\| b` | B |")).toEqual([" `a \\| b` ", " B "]);
+  });
+
+  it("parses rows without outer pipes", () => {
+    expect(parseTableRow("a | b")).toEqual(["a ", " b"]);
+    expect(parseTableRow("| a | b")).toEqual([" a ", " b"]);
+    expect(parseTableRow("a | b |")).toEqual(["a ", " b "]);
+  });
+
+  it("splits on a pipe after an escaped backslash", () => {
+    expect(parseTableRow(String.raw`| a \\| b |`)).toEqual([String.raw` a \\`, " b "]);
+  });
+});
+
+describe("hasUnescapedPipe", () => {
+  it("detects unescaped pipes", () => {
+    expect(hasUnescapedPipe("a | b")).toBe(true);
+    expect(hasUnescapedPipe(String.raw`a \| b`)).toBe(false);
+    expect(hasUnescapedPipe("no pipes")).toBe(false);
+  });
+});
+
+describe("getPipeStyle", () => {
+  it("detects outer pipes", () => {
+    expect(getPipeStyle("| a | b |")).toEqual({ leadingPipe: true, trailingPipe: true });
+    expect(getPipeStyle("a | b")).toEqual({ leadingPipe: false, trailingPipe: false });
+    expect(getPipeStyle("| a | b")).toEqual({ leadingPipe: true, trailingPipe: false });
+    expect(getPipeStyle(String.raw`a | b \|`)).toEqual({ leadingPipe: false, trailingPipe: false });
+  });
+});
+
+describe("getContainerPrefix", () => {
+  it("extracts blockquote markers and indentation", () => {
+    expect(getContainerPrefix("| a |")).toBe("");
+    expect(getContainerPrefix("> | a |")).toBe("> ");
+    expect(getContainerPrefix("> > a | b")).toBe("> > ");
+    expect(getContainerPrefix("    | a |")).toBe("    ");
+  });
+});
+
+describe("splitTableCells", () => {
+  it("splits on unescaped pipes only", () => {
+    expect(splitTableCells("a|b|c")).toEqual(["a", "b", "c"]);
+    expect(splitTableCells(String.raw`a\|b|c`)).toEqual([String.raw`a\|b`, "c"]);
+    expect(splitTableCells("")).toEqual([""]);
+  });
+
+  it("splits unescaped pipes inside code spans, as GFM does", () => {
+    expect(splitTableCells("`a|b`")).toEqual(["`a", "b`"]);
+  });
+
+  it("round-trips through buildTableRow byte-identically", () => {
+    const rows = ["| A | B |", "| `x \\| y` | foo \\| bar |", String.raw`|a\\|b\|c|`, "|  |  |"];
+    for (const row of rows) {
+      expect(buildTableRow(parseTableRow(row))).toBe(row);
+    }
+  });
 });
 
 describe("calculateMaxEmojiPerColumn", () => {
-  it("calculates max emoji per column from data rows only", () => {
+  it("calculates max emoji per column from header and data rows", () => {
     const parsedRows = [
       [" Header ", " Header "], // Row 0: header
       [" --- ", " --- "], // Row 1: separator
@@ -102,6 +305,15 @@ describe("calculateMaxEmojiPerColumn", () => {
     ];
     expect(calculateMaxEmojiPerColumn(parsedRows, 2)).toEqual([0, 0]);
   });
+
+  it("counts emoji in the header row", () => {
+    const parsedRows = [
+      [" 🚀 Launch ", " Header "],
+      [" --- ", " --- "],
+      [" Text ", " 🌟 "],
+    ];
+    expect(calculateMaxEmojiPerColumn(parsedRows, 2)).toEqual([1, 1]);
+  });
 });
 
 describe("compensateSeparatorCell", () => {
@@ -144,6 +356,42 @@ describe("compensateRegularCell", () => {
     const result = compensateRegularCell(" Text   ", 2);
     expect(result).toBe(` Text${IDEOGRAPHIC_SPACE}${IDEOGRAPHIC_SPACE}`);
   });
+
+  it("puts compensation before the content in right-aligned columns", () => {
+    expect(compensateRegularCell("     42 ", 2, "right")).toBe(` ${IDEOGRAPHIC_SPACE}${IDEOGRAPHIC_SPACE}42 `);
+  });
+
+  it("splits compensation around the content in centered columns", () => {
+    // 3 → 1 before, 2 after
+    expect(compensateRegularCell("   Mid      ", 3, "center")).toBe(` ${IDEOGRAPHIC_SPACE}Mid${IDEOGRAPHIC_SPACE}${IDEOGRAPHIC_SPACE}  `);
+  });
+
+  it("leaves the cell unchanged if either side lacks room", () => {
+    // 4 → 2 before (only 1 space there), 2 after
+    expect(compensateRegularCell(" Mid        ", 4, "center")).toBe(" Mid        ");
+  });
+});
+
+describe("calculateCompensation", () => {
+  it("uses base = min(2, max - 1) by default", () => {
+    expect(calculateCompensation(0, 0)).toBe(0);
+    expect(calculateCompensation(1, 0)).toBe(1);
+    expect(calculateCompensation(3, 3)).toBe(2);
+    expect(calculateCompensation(5, 0)).toBe(4); // Capped at max - 1
+  });
+
+  it("honors compensation options", () => {
+    expect(calculateCompensation(3, 3, { baseCompensation: 0 })).toBe(0);
+    expect(calculateCompensation(5, 0, { capPlainCells: false })).toBe(7);
+  });
+
+  it("uses the strategy of the target profile", () => {
+    expect(calculateCompensation(3, 1, { target: "github" })).toBe(2);
+    expect(calculateCompensation(3, 1, { target: "terminal" })).toBe(0);
+    expect(calculateCompensation(3, 1, { target: "custom", customTarget: { strategy: "difference", ideographicSpaceWidth: 4 } })).toBe(1);
+    expect(calculateCompensation(3, 1, { target: "custom", customTarget: { emojiWidth: 3 } })).toBe(6); // base-offset: (2 + 2) × 3 / 2
+    expect(calculateCompensation(3, 1, { target: { compensate: () => -1 } })).toBe(0); // Never negative
+  });
 });
 
 describe("processCell", () => {
@@ -169,12 +417,25 @@ describe("processCell", () => {
     // Separator rows must not be modified - ideographic spaces break markdown
     expect(result).toBe(" ---   ");
   });
+
+  it("places compensation by the column alignment", () => {
+    const maxEmojiPerCol = [1, 1];
+    const alignments = ["right", "center"];
+    expect(processCell("   Text ", 0, false, maxEmojiPerCol, {}, alignments)).toBe(compensateRegularCell("   Text ", 1, "right"));
+    expect(processCell("   Text ", 0, false, maxEmojiPerCol, {}, alignments)).toBe(` ${IDEOGRAPHIC_SPACE}Text `);
+    expect(processCell("  Text  ", 1, false, maxEmojiPerCol, {}, alignments)).toBe(compensateRegularCell("  Text  ", 1, "center"));
+  });
 });
 
 describe("buildTableRow", () => {
   it("joins cells with pipes", () => {
     expect(buildTableRow([" A ", " B ", " C "])).toBe("| A | B | C |");
   });
+
+  it("honors the pipe style", () => {
+    expect(buildTableRow(["A ", " B"], { leadingPipe: false, trailingPipe: false })).toBe("A | B");
+    expect(buildTableRow([" A ", " B"], getPipeStyle("| A | B"))).toBe("| A | B");
+  });
 });
 
 describe("processTable", () => {
@@ -196,6 +457,15 @@ describe("processTable", () => {
     expect(result).toEqual(tableRows);
   });
 
+  it("does not shift columns for cells with escaped pipes", () => {
+    const tableRows = ["| Command         | Status |", "| --------------- | ------ |", "| `a \\| b`       | ✅     |", String.raw`| foo \| bar     | 🚧     |`];
+    const result = processTable(tableRows);
+
+    // Status column: max=1 → header gets 1, data rows unchanged (byte-identical)
+    expect(result[0]).toBe(`| Command         | Status${IDEOGRAPHIC_SPACE}|`);
+    expect(result.slice(1)).toEqual(tableRows.slice(1));
+  });
+
   it("normalizes existing ideographic spaces before processing", () => {
     const tableRows = [`| Header${IDEOGRAPHIC_SPACE} | Header |`, "| --- | --- |", "| 🌟 | Text |"];
     const result = processTable(tableRows);
@@ -205,6 +475,25 @@ describe("processTable", () => {
   });
 });
 
+describe("fixTableAlignment with targets", () => {
+  const IS = IDEOGRAPHIC_SPACE;
+  const content = `| Status       | Meaning |
+| ------------ | ------- |
+| ✅✅✅       | x       |
+| ✅           | y       |`;
+
+  it("compensates only the count difference for github", () => {
+    const lines = fixTableAlignment(content, { target: "github" }).split("\n");
+    expect(lines[0]).toBe(`| Status${IS.repeat(3)} | Meaning |`);
+    expect(lines[2]).toBe("| ✅✅✅       | x       |");
+    expect(lines[3]).toBe(`| ✅${IS.repeat(2)}       | y       |`);
+  });
+
+  it("leaves tables unchanged for terminal", () => {
+    expect(fixTableAlignment(content, { target: "terminal" })).toBe(content);
+  });
+});
+
 describe("fixTableAlignment", () => {
   it("processes tables in markdown content", () => {
     const content = `# Title
@@ -236,6 +525,24 @@ Some text after.`;
     expect(ideographicCount).toBeGreaterThan(0);
   });
 
+  it("places compensation by column alignment and counts header emoji", () => {
+    const content = `| 🚀 Status | Count |  Mid   |
+| :-------- | ----: | :----: |
+| Done      |    🎉 |   🎉   |
+| Todo      |     3 |   x    |
+`;
+
+    const result = fixTableAlignment(content);
+
+    // Status: the header emoji makes the plain rows need 1; Count: right-aligned, before the content
+    expect(result).toBe(`| 🚀 Status |${IDEOGRAPHIC_SPACE}Count |  Mid${IDEOGRAPHIC_SPACE} |
+| :-------- | ----: | :----: |
+| Done${IDEOGRAPHIC_SPACE}    |    🎉 |   🎉   |
+| Todo${IDEOGRAPHIC_SPACE}    |   ${IDEOGRAPHIC_SPACE}3 |   x${IDEOGRAPHIC_SPACE}  |
+`);
+    expect(cleanTableAlignment(result)).toBe(content);
+  });
+
   it("preserves non-table content", () => {
     const content = `# Title
 
@@ -288,6 +595,82 @@ Some text.`;
     expect(result).toBe(content);
   });
 
+  it("processes tables without outer pipes, keeping the pipe style", () => {
+    const content = `Status   | Meaning
+-------- | -------
+✅       | Done`;
+
+    const lines = fixTableAlignment(content).split("\n");
+    expect(lines[0]).toBe(`Status${IDEOGRAPHIC_SPACE} | Meaning`);
+    expect(lines.slice(1)).toEqual(["-------- | -------", "✅       | Done"]);
+  });
+
+  it("processes tables inside blockquotes and callouts, keeping the prefix", () => {
+    const content = `> [!NOTE]
+> | Status  | Meaning  |
+> | ------- | -------- |
+> | ✅      | Complete |
+
+> > | Status  | Meaning  |
+> > | ------- | -------- |
+> > | ✅      | Complete |`;
+
+    const lines = fixTableAlignment(content).split("\n");
+    expect(lines[1]).toBe(`> | Status${IDEOGRAPHIC_SPACE}| Meaning  |`);
+    expect(lines[3]).toBe("> | ✅      | Complete |");
+    expect(lines[5]).toBe(`> > | Status${IDEOGRAPHIC_SPACE}| Meaning  |`);
+    expect(lines[7]).toBe("> > | ✅      | Complete |");
+  });
+
+  it("processes tables indented under list items", () => {
+    const content = `- Item
+
+  | Status  | Meaning  |
+  | ------- | -------- |
+  | ✅      | Complete |
+
+- Next item`;
+
+    const lines = fixTableAlignment(content).split("\n");
+    expect(lines[2]).toBe(`  | Status${IDEOGRAPHIC_SPACE}| Meaning  |`);
+    expect(lines[4]).toBe("  | ✅      | Complete |");
+    expect(lines[6]).toBe("- Next item");
+  });
+
+  it("ends a blockquoted table when the quote ends", () => {
+    const content = `> | Status  | Meaning  |
+> | ------- | -------- |
+> | ✅      | Complete |
+| Not | quoted |`;
+
+    const lines = fixTableAlignment(content).split("\n");
+    expect(lines[3]).toBe("| Not | quoted |");
+  });
+
+  it("ends a table at a list item, heading or fence with a pipe", () => {
+    const listContent = "- item\n\n  | a   | b |\n  | --- | - |\n  | ✅  | x |\n- next | item\n";
+    expect(fixTableAlignment(listContent).split("\n")[5]).toBe("- next | item");
+    expect(fixTableAlignment("- item\n\n  | a   | b |\n  | --- | - |\n  | ✅  | x |\nnext | item\n").split("\n")[5]).toBe("next | item"); // Dedented
+
+    for (const line of ["# Heading | with pipe", "1. Step | one", "```js | x"]) {
+      const lines = fixTableAlignment(`| a   | b |\n| --- | - |\n| ✅  | x |\n${line}\n`).split("\n");
+      expect(lines[0]).toBe(`| a${IDEOGRAPHIC_SPACE} | b |`);
+      expect(lines[3]).toBe(line);
+    }
+  });
+
+  it("round-trips through cleanTableAlignment for containers and pipe styles", () => {
+    const content = `a       | b
+------- | -
+✅      | x
+
+> | Status  | Meaning  |
+> | ------- | -------- |
+> | ✅      | Complete |`;
+
+    expect(cleanTableAlignment(fixTableAlignment(content))).toBe(content);
+  });
+
   it("processes tables after code blocks", () => {
     const content = `\`\`\`
 code
@@ -314,6 +697,222 @@ describe("isMarkdownFile", () => {
     expect(isMarkdownFile("script.js")).toBe(false);
     expect(isMarkdownFile("data.json")).toBe(false);
   });
+
+  it("accepts custom extensions", () => {
+    expect(isMarkdownFile("notes.markdown", [".md", ".markdown"])).toBe(true);
+    expect(isMarkdownFile("notes.mdx", [".md", ".markdown"])).toBe(false);
+  });
+});
+
+describe("resolveFiles", () => {
+  /** Resolve files and return them relative to root, sorted */
+  function resolveRelative(root, fileArgs, raw = {}) {
+    const config = { ...normalizeConfig(raw), root };
+    return resolveFiles(fileArgs, config, root)
+      .map((file) => path.relative(root, path.resolve(root, file)).replaceAll("\\", "/"))
+      .sort();
+  }
+
+  const projectFiles = ["README.md", "CHANGELOG.md", "docs/a.mdx", "guides/b.md", "guides/c.markdown", "vendor/v.md", "node_modules/x/y.md"];
+
+  it("defaults to root files and docs/", () => {
+    const root = createProject(projectFiles);
+    expect(
+      resolveFiles([], getDefaultConfig(), root)
+        .map((file) => path.relative(root, file).replaceAll("\\", "/"))
+        .sort(),
+    ).toEqual(["CHANGELOG.md", "README.md", "docs/a.mdx"]);
+  });
+
+  it("uses include globs and extra extensions instead of the default discovery", () => {
+    const root = createProject(projectFiles);
+    expect(resolveRelative(root, [], { include: ["guides/**"], extensions: [".markdown"] })).toEqual(["guides/b.md", "guides/c.markdown"]);
+  });
+
+  it("applies exclude globs to discovered files and explicit arguments", () => {
+    const root = createProject(projectFiles);
+    expect(resolveRelative(root, [], { include: ["**"], exclude: ["vendor/", "CHANGELOG.md"] })).toEqual(["README.md", "docs/a.mdx", "guides/b.md"]);
+    expect(resolveRelative(root, ["README.md", "vendor/v.md"], { exclude: ["vendor/"] })).toEqual(["README.md"]);
+  });
+});
+
+describe("expandGlob / expandFileArgs", () => {
+  const projectFiles = ["README.md", "docs/a.md", "packages/x/README.md", "packages/y/docs/b.mdx", "packages/y/image.png"];
+
+  /** Make paths relative to root with forward slashes, sorted */
+  function relativeTo(root, files) {
+    return files.map((file) => path.relative(root, path.resolve(root, file)).replaceAll("\\", "/")).sort();
+  }
+
+  it("expands globs relative to cwd like a shell", () => {
+    const root = createProject(projectFiles);
+    expect(relativeTo(root, expandGlob("packages/**/*.md", root))).toEqual(["packages/x/README.md"]);
+    expect(relativeTo(root, expandGlob("packages/**/*.{md,mdx}", root))).toEqual(["packages/x/README.md", "packages/y/docs/b.mdx"]);
+    expect(relativeTo(root, expandGlob("*.md", root))).toEqual(["README.md"]);
+  });
+
+  it("expands directories and keeps literal files, without duplicates", () => {
+    const root = createProject(projectFiles);
+    const files = expandFileArgs(["packages/y", "README.md", "*.md", "missing.md"], root);
+    expect(relativeTo(root, files)).toEqual(["README.md", "missing.md", "packages/y/docs/b.mdx"]);
+  });
+
+  it("honors ignore files in resolveFiles", () => {
+    const root = createProject(projectFiles);
+    fs.writeFileSync(path.join(root, ".gitignore"), "packages/x/\n");
+    fs.writeFileSync(path.join(root, ".fixmdtablesignore"), "docs/\n");
+    const config = { ...getDefaultConfig(), root };
+    expect(relativeTo(root, resolveFiles(["packages/**/*.md*"], config, root))).toEqual([]);
+    expect(relativeTo(root, resolveFiles([], config, root))).toEqual(["README.md"]);
+    expect(relativeTo(root, resolveFiles([], { ...config, ignoreFiles: [] }, root))).toEqual(["README.md", "docs/a.md"]);
+  });
+});
+
+describe("async API", () => {
+  const projectFiles = ["README.md", "CHANGELOG.md", "docs/a.md", "docs/z/b.mdx", "docs/m/c.md", "packages/x/README.md", "vendor/v.md", "node_modules/x/y.md"];
+  const table = "| Status  | Meaning  |\n| ------- | -------- |\n| ✅      | Complete |\n";
+
+  it("walks directories like the sync walker, in the same order", async () => {
+    const root = createProject(projectFiles, table);
+    expect(await findMarkdownFilesAsync(root)).toEqual(findMarkdownFiles(root));
+    expect(await findMarkdownFilesAsync(path.join(root, "missing"))).toEqual([]);
+  });
+
+  it("resolves the same files as resolveFiles", async () => {
+    const root = createProject(projectFiles, table);
+    const config = { ...normalizeConfig({ exclude: ["vendor/"] }), root };
+    expect(await resolveFilesAsync([], config, root)).toEqual(resolveFiles([], config, root));
+    expect(await resolveFilesAsync(["packages", "docs/**/*.md", "README.md"], config, root)).toEqual(resolveFiles(["packages", "docs/**/*.md", "README.md"], config, root));
+    const includeConfig = { ...normalizeConfig({ include: ["**"], exclude: ["vendor/"] }), root };
+    expect(await resolveFilesAsync([], includeConfig, root)).toEqual(resolveFiles([], includeConfig, root));
+  });
+
+  it("processes files with bounded concurrency, matching processFile", async () => {
+    const root = createProject(projectFiles, table);
+    const files = findMarkdownFiles(root);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const [first, ...rest] = files;
+    expect(processFile(first, "format")).toBe(true);
+    const results = await processFiles([...rest, path.join(root, "missing.md")], { mode: "format", concurrency: 2 });
+    expect(results).toEqual([...rest.map(() => true), false]);
+    for (const file of rest) {
+      expect(fs.readFileSync(file, "utf8")).toBe(fs.readFileSync(first, "utf8"));
+    }
+
+    expect(await checkFiles(files, { mode: "format" })).toEqual(files.map(() => []));
+    await expect(processFiles(files, { concurrency: 0 })).rejects.toThrow("concurrency must be a positive integer");
+    vi.restoreAllMocks();
+  });
+});
+
+describe("fixFiles", () => {
+  const content = "| Status  | Meaning  |\n| ------- | -------- |\n| ✅      | Complete |\n";
+
+  /** Create a misaligned, an aligned and a missing file in a temp dir; returns their paths */
+  function createFiles() {
+    const dir = createTempDir();
+    fs.writeFileSync(path.join(dir, "a.md"), content);
+    fs.writeFileSync(path.join(dir, "b.md"), "# No tables\n");
+    return ["a.md", "b.md", "missing.md"].map((name) => path.join(dir, name));
+  }
+
+  /** Logger that records messages */
+  function createLogger() {
+    const messages = [];
+    return { messages, log: (message) => messages.push(["log", message]), error: (message) => messages.push(["error", message]) };
+  }
+
+  it("returns a structured result per file and logs through the given logger", async () => {
+    const files = createFiles();
+    const logger = createLogger();
+    const results = await fixFiles(files, { logger, concurrency: 1 });
+
+    expect(results.map(({ file, changed, written }) => ({ file, changed, written }))).toEqual([
+      { file: files[0], changed: true, written: true },
+      { file: files[1], changed: false, written: false },
+      { file: files[2], changed: false, written: false },
+    ]);
+    expect(results[0].tables).toEqual([{ startLine: 1, endLine: 3, changed: true, columns: [1] }]);
+    expect(results[0].sizeAfter).toBe(Buffer.byteLength(fs.readFileSync(files[0], "utf8")));
+    expect(results[0].sizeAfter).toBeGreaterThan(results[0].sizeBefore);
+    expect(results[1].sizeBefore).toBe(results[1].sizeAfter);
+    expect(results[2].error).toMatch(/ENOENT/);
+    expect(logger.messages).toEqual([
+      ["log", `  ✓ Fixed: ${files[0]}`],
+      ["error", `  ✗ Error processing ${files[2]}: ${results[2].error}`],
+    ]);
+  });
+
+  it("checks without writing, and logs nothing when silent", async () => {
+    const files = createFiles();
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const results = await fixFiles(files, { check: true, silent: true });
+    expect(results.map((result) => result.changed)).toEqual([true, false, false]);
+    expect(results.some((result) => result.written)).toBe(false);
+    expect(fs.readFileSync(files[0], "utf8")).toBe(content);
+    expect(log).not.toHaveBeenCalled();
+    expect(error).not.toHaveBeenCalled();
+
+    const logger = createLogger();
+    await fixFiles(files.slice(0, 1), { check: true, mode: "format", logger });
+    expect(logger.messages).toEqual([["log", `  ✗ Needs formatting: ${files[0]} (lines 1-3)`]]);
+    await expect(fixFiles(files, { mode: "tidy" })).rejects.toThrow("Unknown mode: tidy");
+    vi.restoreAllMocks();
+  });
+});
+
+describe("parseCliArgs", () => {
+  it("separates flags, values and files", () => {
+    const parsed = parseCliArgs(["--check", "--config", "rc.json", "--exclude=vendor/", "--exclude", "a.md", "README.md"]);
+    expect([...parsed.flags]).toEqual(["--check"]);
+    expect(parsed.values).toEqual({ "--config": ["rc.json"], "--exclude": ["vendor/", "a.md"] });
+    expect(parsed.files).toEqual(["README.md"]);
+    expect(parsed.unknown).toEqual([]);
+    expect(parsed.errors).toEqual([]);
+  });
+
+  it("reports unknown flags and missing values", () => {
+    const parsed = parseCliArgs(["--bogus", "--ext"]);
+    expect(parsed.unknown).toEqual(["--bogus"]);
+    expect(parsed.errors).toEqual(["--ext requires a value"]);
+  });
+});
+
+describe("applyCliOptions", () => {
+  it("lets CLI flags override the config file", () => {
+    const config = normalizeConfig({ mode: "format", extensions: [".markdown"], include: ["docs/**"] });
+    const merged = applyCliOptions(config, parseCliArgs(["--clean", "--ext", "mdown,.mkd", "--include", "guides/**"]));
+    expect(merged.mode).toBe("clean");
+    expect(merged.extensions).toEqual([".mdown", ".mkd"]);
+    expect(merged.include).toEqual(["guides/**"]);
+  });
+
+  it("overrides endOfLine and disables ignore files", () => {
+    const merged = applyCliOptions(normalizeConfig({ endOfLine: "lf" }), parseCliArgs(["--end-of-line=crlf", "--no-ignore"]));
+    expect(merged.endOfLine).toBe("crlf");
+    expect(merged.ignoreFiles).toEqual([]);
+  });
+
+  it("merges --rule severities over the config's lint rules", () => {
+    const config = normalizeConfig({ lint: { "column-count": "warning", "table-alignment": "off" } });
+    const merged = applyCliOptions(config, parseCliArgs(["--lint", "--rule", "table-alignment=error,stray-ideographic-space=off"]));
+    expect(merged.lint).toEqual({ "column-count": "warning", "table-alignment": "error", "stray-ideographic-space": "off" });
+  });
+
+  it("overrides the config's mode with --mode", () => {
+    const config = normalizeConfig({ mode: "clean" });
+    expect(applyCliOptions(config, parseCliArgs(["--mode", "fix"])).mode).toBe("fix");
+    expect(applyCliOptions(config, parseCliArgs(["--mode=format"])).mode).toBe("format");
+  });
+
+  it("keeps config values when no flags are given", () => {
+    const config = normalizeConfig({ mode: "format" });
+    expect(applyCliOptions(config, parseCliArgs([]))).toEqual(config);
+  });
 });
 
 describe("cleanTableAlignment", () => {
@@ -349,7 +948,633 @@ Some paragraph with ${IDEOGRAPHIC_SPACE} space.`;
   });
 });
 
+describe("restoreRegularCell", () => {
+  it("reverses compensateRegularCell using the column width", () => {
+    expect(restoreRegularCell(` ok${IDEOGRAPHIC_SPACE.repeat(3)}`, 6)).toBe(" ok   ");
+    expect(restoreRegularCell(` ok${IDEOGRAPHIC_SPACE.repeat(3)}`, 9)).toBe(" ok      "); // 2 spaces per U+3000
+    expect(restoreRegularCell(` ok${IDEOGRAPHIC_SPACE} `, 5)).toBe(" ok   ");
+    expect(restoreRegularCell(` ok${IDEOGRAPHIC_SPACE.repeat(2)}`)).toBe(" ok    ");
+    expect(restoreRegularCell(" ok ", 4)).toBe(" ok ");
+  });
+});
+
+describe("clean inverts fix (property-based)", () => {
+  const words = ["ok", "Done", "x", "Task list", "v1.2", "a `code` span", "**bold**", "写作", "日本語", "한국어"];
+  const wide = ["✅", "❌", "🚧", "⚠️", "🌟", "👍🏽", "🇺🇸", "👨‍👩‍👧", "1️⃣", "写"];
+  const alignments = ["---", ":--", "--:", ":-:"];
+
+  /** Seeded PRNG (mulberry32), so failures are reproducible */
+  function createRandom(seed) {
+    let state = seed;
+    return () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /** Generate an unformatted table with random cells mixing text, emoji and CJK */
+  function generateTable(random) {
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const cols = 1 + Math.floor(random() * 4);
+    const cell = () => Array.from({ length: Math.floor(random() * 4) }, () => (random() < 0.4 ? pick(wide) : pick(words))).join(" ");
+    const row = () => `| ${Array.from({ length: cols }, cell).join(" | ")} |`;
+    const separator = `| ${Array.from({ length: cols }, () => pick(alignments)).join(" | ")} |`;
+    return [row(), separator, ...Array.from({ length: 1 + Math.floor(random() * 5) }, row)].join("\n") + "\n";
+  }
+
+  const optionSets = [{}, { baseCompensation: 0 }, { baseCompensation: 3, capPlainCells: false }, { target: "github" }];
+
+  it("restores Prettier's exact layout", async () => {
+    const random = createRandom(20240601);
+    for (let run = 0; run < 150; run++) {
+      const formatted = await prettier.format(generateTable(random), { parser: "markdown" });
+      const options = optionSets[run % optionSets.length];
+      expect(cleanTableAlignment(fixTableAlignment(formatted, options)), `run ${run}:\n${formatted}`).toBe(formatted);
+    }
+  });
+
+  it("restores display-width padded tables (format mode output)", () => {
+    const random = createRandom(7);
+    for (let run = 0; run < 150; run++) {
+      const formatted = formatTableAlignment(generateTable(random));
+      const options = optionSets[run % optionSets.length];
+      expect(cleanTableAlignment(fixTableAlignment(formatted, options)), `run ${run}:\n${formatted}`).toBe(formatted);
+    }
+  });
+});
+
+describe("getDisplayWidth", () => {
+  it("counts ASCII as 1 column", () => {
+    expect(getDisplayWidth("Hello")).toBe(5);
+    expect(getDisplayWidth("")).toBe(0);
+  });
+
+  it("counts emoji and ideographic spaces as 2 columns", () => {
+    expect(getDisplayWidth("✅ Done")).toBe(7);
+    expect(getDisplayWidth("🔴🟡")).toBe(4);
+    expect(getDisplayWidth(IDEOGRAPHIC_SPACE)).toBe(2);
+  });
+
+  it("ignores variation selectors", () => {
+    expect(getDisplayWidth("⚠️")).toBe(2);
+  });
+
+  it("measures emoji sequences as a single 2-column character", () => {
+    expect(getDisplayWidth("👨‍👩‍👧")).toBe(2);
+    expect(getDisplayWidth("🇺🇦 ok")).toBe(5);
+    expect(getDisplayWidth("👍🏽")).toBe(2);
+  });
+
+  it("measures CJK and fullwidth characters as 2 columns", () => {
+    expect(getDisplayWidth("日本語")).toBe(6);
+    expect(getDisplayWidth("中文 ok")).toBe(7);
+    expect(getDisplayWidth("（注）")).toBe(6);
+  });
+
+  it("measures text-style symbols and combining marks as 1 column", () => {
+    expect(getDisplayWidth("™")).toBe(1);
+    expect(getDisplayWidth("e\u0301")).toBe(1);
+  });
+});
+
+describe("parseColumnAlignment", () => {
+  it("reads alignment from separator colons", () => {
+    expect(parseColumnAlignment(" --- ")).toBe("none");
+    expect(parseColumnAlignment(" :--- ")).toBe("left");
+    expect(parseColumnAlignment(" ---: ")).toBe("right");
+    expect(parseColumnAlignment(" :---: ")).toBe("center");
+  });
+
+  it("returns none for non-separator cells", () => {
+    expect(parseColumnAlignment(" Text ")).toBe("none");
+  });
+});
+
+describe("padCell", () => {
+  it("pads by display width according to alignment", () => {
+    expect(padCell("✅", 4)).toBe("✅  ");
+    expect(padCell("✅", 4, "right")).toBe("  ✅");
+    expect(padCell("ab", 5, "center")).toBe(" ab  ");
+  });
+
+  it("never truncates wider content", () => {
+    expect(padCell("Too wide", 3)).toBe("Too wide");
+  });
+});
+
+describe("buildSeparatorCell", () => {
+  it("builds dashes with alignment colons", () => {
+    expect(buildSeparatorCell(5)).toBe("-----");
+    expect(buildSeparatorCell(5, "left")).toBe(":----");
+    expect(buildSeparatorCell(5, "right")).toBe("----:");
+    expect(buildSeparatorCell(5, "center")).toBe(":---:");
+  });
+});
+
+describe("formatTable", () => {
+  it("re-pads cells from scratch using display width", () => {
+    const tableRows = ["| Status | Description |", "|-|-|", "| ✅ | ✅ Complete |", "| 🚧 | 🚧 In Progress |"];
+
+    expect(formatTable(tableRows)).toEqual(["| Status | Description    |", "| ------ | -------------- |", "| ✅     | ✅ Complete    |", "| 🚧     | 🚧 In Progress |"]);
+  });
+
+  it("keeps alignment colons and aligns content accordingly", () => {
+    const tableRows = ["| L | C | R |", "| :- | :-: | -: |", "| ✅ | ✅ | ✅ |"];
+
+    expect(formatTable(tableRows)).toEqual(["| L   |  C  |   R |", "| :-- | :-: | --: |", "| ✅  | ✅  |  ✅ |"]);
+  });
+
+  it("replaces existing ideographic spaces and fills missing cells", () => {
+    const tableRows = [`| Status${IDEOGRAPHIC_SPACE} | B |`, "| --- | --- |", "| ✅ |"];
+
+    expect(formatTable(tableRows)).toEqual(["| Status | B   |", "| ------ | --- |", "| ✅     |     |"]);
+  });
+
+  it("keeps the pipe style of each row", () => {
+    expect(formatTable(["a | b", "--- | ---", "✅ | x"])).toEqual(["a   | b", "--- | ---", "✅  | x"]);
+    expect(formatTable(["| a | b", "| - | -", "| ✅ | x |"])).toEqual(["| a   | b", "| --- | ---", "| ✅  | x   |"]);
+  });
+
+  it("leaves incomplete tables unchanged", () => {
+    expect(formatTable(["| A |"])).toEqual(["| A |"]);
+  });
+});
+
+describe("formatTableAlignment", () => {
+  it("formats tables and preserves surrounding content", () => {
+    const content = `# Title
+
+| A | B |
+|---|---|
+| 🌟 | X |
+
+\`\`\`
+| A | B |
+|---|---|
+\`\`\``;
+
+    const expected = `# Title
+
+| A   | B   |
+| --- | --- |
+| 🌟  | X   |
+
+\`\`\`
+| A | B |
+|---|---|
+\`\`\``;
+
+    expect(formatTableAlignment(content)).toBe(expected);
+  });
+
+  it("is idempotent", () => {
+    const once = formatTableAlignment("| A | B |\n| - | - |\n| 🔴 🟡 | ⚠️ |");
+    expect(formatTableAlignment(once)).toBe(once);
+  });
+});
+
+describe("findChangedTables", () => {
+  it("reports line ranges of tables that would change", () => {
+    const content = `# Title
+
+| A   | B |
+| --- | - |
+| 🌟  | X |
+
+| C | D |
+| - | - |
+| Y | Z |`;
+
+    expect(findChangedTables(content)).toEqual([{ startLine: 3, endLine: 5 }]);
+  });
+
+  it("returns empty array for already-fixed content", () => {
+    const content = fixTableAlignment(`| Status  | Meaning  |
+| ------  | -------- |
+| ✅      | Complete |`);
+
+    expect(findChangedTables(content)).toEqual([]);
+  });
+
+  it("reports tables that format mode would change", () => {
+    const content = `| A | B |
+| - | - |
+| 🌟 | X |`;
+
+    expect(findChangedTables(content, "format")).toEqual([{ startLine: 1, endLine: 3 }]);
+    expect(findChangedTables(formatTableAlignment(content), "format")).toEqual([]);
+  });
+
+  it("reports tables that clean mode would change", () => {
+    const content = `Text
+
+| Header${IDEOGRAPHIC_SPACE} | B |
+| --- | - |
+| 🌟 | X |`;
+
+    expect(findChangedTables(content, "clean")).toEqual([{ startLine: 3, endLine: 5 }]);
+    expect(findChangedTables(cleanTableAlignment(content), "clean")).toEqual([]);
+    // Boolean cleanMode is still accepted
+    expect(findChangedTables(content, true)).toEqual([{ startLine: 3, endLine: 5 }]);
+  });
+
+  it("ignores tables inside code blocks", () => {
+    const content = `\`\`\`
+| A   | B |
+| --- | - |
+| 🌟  | X |
+\`\`\``;
+
+    expect(findChangedTables(content)).toEqual([]);
+  });
+});
+
+describe("findTables / serializeTable", () => {
+  const content = `# Doc
+
+| Status   | Task |   Count |
+| :------- | :--: | ------: |
+| ✅ Done   | 写作  |       3 |
+
+> a | b
+> --- | ---
+> 1 | 2 \\| 3
+`;
+
+  it("returns positions, rows, cells and alignment per table", () => {
+    const [first, second] = findTables(content);
+    expect(first).toMatchObject({ startLine: 3, endLine: 5, lineEnding: "\n", columnCount: 3, alignments: ["left", "center", "right"] });
+    expect(content.slice(first.startOffset, first.endOffset)).toBe(content.split("\n").slice(2, 5).join("\n"));
+    expect(first.header).toMatchObject({ line: 3, prefix: "", leadingPipe: true, trailingPipe: true });
+    expect(first.body[0].cells[1]).toEqual({ text: "写作", leading: " ", trailing: "  ", column: 13, emoji: 0, wideChars: 2, width: 4 });
+    expect(first.body[0].cells[0]).toMatchObject({ text: "✅ Done", emoji: 1, width: 7 });
+
+    expect(second).toMatchObject({ startLine: 7, endLine: 9, columnCount: 2, alignments: ["none", "none"] });
+    expect(second.body[0]).toMatchObject({ line: 9, prefix: "> ", leadingPipe: false, trailingPipe: false });
+    expect(second.body[0].cells.map((cell) => cell.text)).toEqual(["1", "2 \\| 3"]);
+    expect(second.body[0].cells.map((cell) => cell.column)).toEqual([3, 6]);
+  });
+
+  it("reports offsets in the original string, with a BOM and CRLF line endings", () => {
+    const crlf = "\uFEFFText\r\n\r\n| a | b |\r\n| - | - |\r\n| 1 | 2 |  \r\n";
+    const [table] = findTables(crlf);
+    expect(table.lineEnding).toBe("\r\n");
+    expect(crlf.slice(table.startOffset, table.endOffset)).toBe("| a | b |\r\n| - | - |\r\n| 1 | 2 |  ");
+    expect(serializeTable(table)).toBe(crlf.slice(table.startOffset, table.endOffset));
+  });
+
+  it("reports the most common line ending between the rows", () => {
+    expect(findTables("| a | b |\n| - | - |\r\n| 1 | 2 |\r\n| 3 | 4 |\n")[0].lineEnding).toBe("\r\n");
+    expect(findTables("| a | b |\n| - | - |")[0].lineEnding).toBe("\n");
+  });
+
+  it("skips tables in code blocks", () => {
+    expect(findTables("```\n| a | b |\n| - | - |\n```\n")).toEqual([]);
+  });
+
+  it("round-trips every table unchanged", () => {
+    const fixturesDir = fileURLToPath(new URL("fixtures/regions/", import.meta.url));
+    const documents = [content, fs.readFileSync(fileURLToPath(new URL("../README.md", import.meta.url)), "utf8")];
+    documents.push(...fs.readdirSync(fixturesDir).map((name) => fs.readFileSync(fixturesDir + name, "utf8")));
+    for (const document of documents) {
+      for (const table of findTables(document)) {
+        expect(serializeTable(table)).toBe(document.slice(table.startOffset, table.endOffset));
+      }
+    }
+  });
+
+  it("serializes edited cells with their original padding", () => {
+    const [table] = findTables(content);
+    table.body[0].cells[2].text = "4";
+    table.separator.cells.pop();
+    expect(serializeTable(table).split("\n").slice(1)).toEqual(["| :------- | :--: |", "| ✅ Done   | 写作  |       4 |"]);
+  });
+});
+
+describe("analyzeTables", () => {
+  it("reports every table with the columns that would change", () => {
+    const content = `| A   | B |
+| --- | - |
+| X   | Y |
+
+| Status  | Mid | Meaning  |
+| ------- | --- | -------- |
+| ✅      | x   | Complete |`;
+
+    expect(analyzeTables(content)).toEqual([
+      { startLine: 1, endLine: 3, changed: false, columns: [] },
+      { startLine: 5, endLine: 7, changed: true, columns: [1] },
+    ]);
+    expect(analyzeTables(content, "format")[1].columns).toEqual([1]);
+  });
+});
+
+describe("inspectFile", () => {
+  it("applies MDX rules to .mdx files only", () => {
+    const dir = createTempDir();
+    const content = "{ see below\n\n| Status | Meaning |\n| ------ | ------- |\n| ✅     | Done    |\n";
+    fs.writeFileSync(path.join(dir, "a.md"), content);
+    fs.writeFileSync(path.join(dir, "a.mdx"), content);
+    expect(inspectFile(path.join(dir, "a.md")).changed).toBe(true);
+    expect(inspectFile(path.join(dir, "a.mdx")).changed).toBe(false);
+    expect(diffFile(path.join(dir, "a.md")).diff).not.toBe("");
+    expect(getMarkdownSyntax("docs/A.MDX")).toBe("mdx");
+  });
+
+  it("returns a structured result and writes only when asked", () => {
+    const dir = createTempDir();
+    const filePath = path.join(dir, "a.md");
+    const content = "| Status  | Meaning  |\n| ------- | -------- |\n| ✅      | Complete |\n";
+    fs.writeFileSync(filePath, content);
+
+    const checked = inspectFile(filePath);
+    expect(checked).toEqual({
+      file: filePath,
+      changed: true,
+      written: false,
+      tables: [{ startLine: 1, endLine: 3, changed: true, columns: [1] }],
+      sizeBefore: Buffer.byteLength(content),
+      sizeAfter: Buffer.byteLength(fixTableAlignment(content)),
+      error: null,
+    });
+    expect(fs.readFileSync(filePath, "utf8")).toBe(content);
+
+    expect(inspectFile(filePath, "fix", {}, { write: true }).written).toBe(true);
+    expect(fs.readFileSync(filePath, "utf8")).toBe(fixTableAlignment(content));
+    expect(inspectFile(path.join(dir, "missing.md")).error).toMatch(/ENOENT/);
+  });
+
+  it("processes each table once", async () => {
+    const dir = createTempDir();
+    const filePath = path.join(dir, "a.md");
+    const content = "| Status | Meaning |\n| ------ | ------- |\n| ✅     | Done    |\n";
+    fs.writeFileSync(filePath, content);
+    const compensate = vi.fn(() => 1);
+
+    processContent(content, "fix", { target: { compensate } });
+    const callsPerPass = compensate.mock.calls.length;
+    compensate.mockClear();
+    expect(inspectFile(filePath, "fix", { target: { compensate } }).tables[0].changed).toBe(true);
+    expect(compensate).toHaveBeenCalledTimes(callsPerPass);
+    compensate.mockClear();
+    await inspectFileAsync(filePath, "fix", { target: { compensate } });
+    expect(compensate).toHaveBeenCalledTimes(callsPerPass);
+  });
+});
+
+describe("line endings, BOM and indentation", () => {
+  const IS = IDEOGRAPHIC_SPACE;
+
+  it("keeps CRLF endings on rebuilt table rows", () => {
+    const content = "# T\r\n\r\n| A | B |\r\n| - | - |\r\n| ✅ | X |\r\n";
+    expect(fixTableAlignment(content)).toBe(`# T\r\n\r\n| A${IS}| B |\r\n| - | - |\r\n| ✅ | X |\r\n`);
+    expect(cleanTableAlignment(fixTableAlignment(content))).toBe(content);
+  });
+
+  it("keeps CR-only and mixed endings line by line", () => {
+    expect(fixTableAlignment("| A | B |\r| - | - |\r| ✅ | X |")).toBe(`| A${IS}| B |\r| - | - |\r| ✅ | X |`);
+    const mixed = "| A | B |\r\n| - | - |\n| ✅ | X |\r\ntext\n";
+    expect(fixTableAlignment(mixed)).toBe(`| A${IS}| B |\r\n| - | - |\n| ✅ | X |\r\ntext\n`);
+  });
+
+  it("keeps a UTF-8 BOM and the (missing) trailing newline", () => {
+    const content = "\uFEFF| A | B |\n| - | - |\n| ✅ | X |";
+    expect(fixTableAlignment(content)).toBe(`\uFEFF| A${IS}| B |\n| - | - |\n| ✅ | X |`);
+    expect(formatTableAlignment(content)).toBe("\uFEFF| A   | B   |\n| --- | --- |\n| ✅  | X   |");
+  });
+
+  it("keeps per-row indentation", () => {
+    const content = "  | A | B |\n  | - | - |\n   | ✅ | X |\r\n";
+    expect(fixTableAlignment(content)).toBe(`  | A${IS}| B |\n  | - | - |\n   | ✅ | X |\r\n`);
+  });
+
+  it("converts all line endings with an endOfLine override", () => {
+    const content = "# T\r\n\r\n| A | B |\n| - | - |\r| ✅ | X |\n";
+    expect(fixTableAlignment(content, { endOfLine: "lf" })).toBe(`# T\n\n| A${IS}| B |\n| - | - |\n| ✅ | X |\n`);
+    expect(processContent("a\nb\n", "clean", { endOfLine: "crlf" })).toBe("a\r\nb\r\n");
+    expect(() => processContent("a", "fix", { endOfLine: "windows" })).toThrow("Unknown endOfLine: windows");
+  });
+
+  it("detects the most common line ending", () => {
+    expect(detectLineEnding("a\r\nb\r\nc\n")).toBe("\r\n");
+    expect(detectLineEnding("a\rb")).toBe("\r");
+    expect(detectLineEnding("no newline")).toBe("\n");
+  });
+});
+
+describe("processContent", () => {
+  const content = "| A | B |\n| - | - |\n| 🌟 | X |\n";
+
+  it("applies the given mode to all tables", () => {
+    expect(processContent(content)).toBe(fixTableAlignment(content));
+    expect(processContent(content, "format")).toBe(formatTableAlignment(content));
+    expect(processContent(fixTableAlignment(content), "clean")).toBe(cleanTableAlignment(fixTableAlignment(content)));
+  });
+
+  it("throws on unknown modes", () => {
+    expect(() => processContent(content, "pretty")).toThrow("Unknown mode: pretty");
+  });
+});
+
+describe("diffFile", () => {
+  it("returns a diff without writing the file", () => {
+    const dir = createTempDir();
+    const filePath = path.join(dir, "a.md");
+    const content = "| A | B |\n| - | - |\n| 🌟 | X |\n";
+    fs.writeFileSync(filePath, content);
+
+    const { diff, error } = diffFile(filePath, "fix", {}, "a.md");
+    expect(error).toBeNull();
+    expect(diff).toContain("--- a/a.md\n+++ b/a.md\n@@ -1,3 +1,3 @@\n");
+    expect(diff).toContain("+| A␣| B |");
+    expect(fs.readFileSync(filePath, "utf8")).toBe(content);
+    expect(diffFile(filePath, "clean").diff).toBe("");
+  });
+
+  it("returns read errors instead of logging them", () => {
+    const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+    const missing = path.join(createTempDir(), "missing.md");
+    expect(diffFile(missing)).toEqual({ file: missing, diff: null, error: expect.stringContaining("ENOENT") });
+    expect(errorSpy).not.toHaveBeenCalled();
+    vi.restoreAllMocks();
+  });
+});
+
+describe("CLI: --stdin", () => {
+  const binPath = fileURLToPath(new URL("../bin/fix-md-tables.mjs", import.meta.url));
+  const content = "# Title\n\n| A | B |\n| - | - |\n| 🌟 | X |\n";
+
+  /** Run the CLI in a temp directory with the given stdin */
+  function runCli(args, input, cwd = os.tmpdir()) {
+    return spawnSync(process.execPath, [binPath, ...args], { input, cwd, encoding: "utf8" });
+  }
+
+  it("writes only the fixed document to stdout", () => {
+    const result = runCli(["--stdin", "--no-config"], content);
+    expect(result.status).toBe(0);
+    expect(result.stdout).toBe(fixTableAlignment(content));
+    expect(result.stderr).toBe("");
+  });
+
+  it("supports --clean and --stdin-filepath", () => {
+    const fixed = fixTableAlignment(content);
+    const result = runCli(["--stdin", "--clean", "--stdin-filepath", "docs/x.mdx", "--no-config"], fixed);
+    expect(result.stdout).toBe(cleanTableAlignment(fixed));
+  });
+
+  it("passes ignored --stdin-filepath input through unchanged", () => {
+    const root = createTempDir();
+    fs.writeFileSync(path.join(root, ".gitignore"), "vendor/\n");
+    expect(runCli(["--stdin", "--stdin-filepath", "vendor/a.md"], content, root).stdout).toBe(content);
+    expect(runCli(["--stdin", "--stdin-filepath", "docs/a.md"], content, root).stdout).toBe(fixTableAlignment(content));
+  });
+
+  it("reports on stderr and exits 1 with --check", () => {
+    const result = runCli(["--stdin", "--check", "--stdin-filepath", "docs/x.md", "--no-config"], content);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toBe("");
+    expect(result.stderr).toContain("Needs fixing: docs/x.md (lines 3-5)");
+    expect(runCli(["--stdin", "--check", "--no-config"], fixTableAlignment(content)).status).toBe(0);
+  });
+
+  it("prints a diff instead of the document with --diff", () => {
+    const result = runCli(["--stdin", "--diff", "--stdin-filepath", "docs/x.md", "--no-config"], content);
+    expect(result.stdout).toMatch(/^--- a\/docs\/x\.md\n\+\+\+ b\/docs\/x\.md\n@@ /);
+    expect(runCli(["--stdin", "--dry-run", "--no-config"], fixTableAlignment(content)).stdout).toBe("");
+  });
+
+  it("switches back to fix mode with --mode when the config sets clean", () => {
+    const root = createTempDir();
+    fs.writeFileSync(path.join(root, ".fixmdtablesrc"), JSON.stringify({ mode: "clean" }));
+    const fixed = fixTableAlignment(content);
+    expect(runCli(["--stdin"], fixed, root).stdout).toBe(cleanTableAlignment(fixed));
+    expect(runCli(["--stdin", "--mode", "fix"], content, root).stdout).toBe(fixed);
+
+    const invalid = runCli(["--stdin", "--mode", "lint", "--clean"], content, root);
+    expect(invalid.status).toBe(1);
+    expect(invalid.stderr).toContain("--mode must be one of fix, clean, format");
+    expect(invalid.stderr).toContain("--mode cannot be used with --clean or --format");
+  });
+
+  it("rejects file arguments", () => {
+    const result = runCli(["--stdin", "README.md"], content);
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain("--stdin cannot be used with file arguments");
+  });
+});
+
+describe("CLI: --staged", () => {
+  const binPath = fileURLToPath(new URL("../bin/fix-md-tables.mjs", import.meta.url));
+  const table = "| A | B |\n| - | - |\n| 🌟 | X |\n";
+
+  /** Run git in dir */
+  function git(dir, ...args) {
+    return execFileSync("git", args, { cwd: dir, encoding: "utf8" });
+  }
+
+  it("fixes the staged blob and keeps unstaged edits", () => {
+    const root = createTempDir();
+    git(root, "init", "-q");
+    fs.writeFileSync(path.join(root, "a.md"), table);
+    git(root, "add", "a.md");
+    fs.writeFileSync(path.join(root, "a.md"), `# Draft\n\n${table}`);
+
+    const check = spawnSync(process.execPath, [binPath, "--staged", "--check", "--no-config"], { cwd: root, encoding: "utf8" });
+    expect(check.status).toBe(1);
+    expect(check.stdout).toContain("Needs fixing: a.md (lines 1-3)");
+
+    const result = spawnSync(process.execPath, [binPath, "--staged", "--no-config"], { cwd: root, encoding: "utf8" });
+    expect(result.status).toBe(0);
+    expect(git(root, "show", ":a.md")).toBe(fixTableAlignment(table));
+    expect(fs.readFileSync(path.join(root, "a.md"), "utf8")).toBe(`# Draft\n\n${fixTableAlignment(table)}`);
+  });
+});
+
+describe("CLI: files", () => {
+  const binPath = fileURLToPath(new URL("../bin/fix-md-tables.mjs", import.meta.url));
+  const table = "| A | B |\n| - | - |\n| 🌟 | X |\n";
+
+  /** Run the CLI on files in root */
+  function runCli(root, args) {
+    return spawnSync(process.execPath, [binPath, "--no-config", ...args], { cwd: root, encoding: "utf8" });
+  }
+
+  it("lists files that need fixing with --check and exits 1, or 0 when all are aligned", () => {
+    const root = createProject(["docs/a.md"], `# Title\n\n${table}`);
+    fs.writeFileSync(path.join(root, "b.md"), fixTableAlignment(table));
+
+    const result = runCli(root, ["--check", "."]);
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain(`✗ Needs fixing: ${path.join(root, "docs", "a.md")} (lines 3-5)`);
+    expect(result.stdout).not.toContain("b.md");
+    expect(fs.readFileSync(path.join(root, "docs/a.md"), "utf8")).toBe(`# Title\n\n${table}`);
+
+    const clean = runCli(root, ["--check", "b.md"]);
+    expect(clean.status).toBe(0);
+    expect(clean.stdout).not.toContain("Needs fixing");
+  });
+
+  it("prints only the patch to stdout with --diff and exits 1 on read errors", () => {
+    const root = createProject(["a.md"], table);
+    const result = runCli(root, ["--diff", "a.md"]);
+    expect(result.status).toBe(0);
+    expect(result.stdout).toBe(createUnifiedDiff("a.md", table, fixTableAlignment(table)));
+    expect(result.stderr).toContain("Dry run: 1 file(s) would change, nothing written.");
+
+    const missing = runCli(root, ["--diff", "missing.md"]);
+    expect(missing.status).toBe(1);
+    expect(missing.stdout).toBe("");
+    expect(missing.stderr).toContain("✗ Error diffing missing.md");
+  });
+});
+
 describe("integration: real-world table", () => {
+  it("compensates mixed CJK, emoji and ASCII columns", () => {
+    const input = `| Label      | Status  |
+| ---------- | ------- |
+| 完了       | ✅      |
+| 進行中 🚧  | 🚧 WIP  |
+| Pending    | Todo    |`;
+
+    const lines = fixTableAlignment(input).split("\n");
+
+    // Label: max=4 (進行中 🚧), base=2 → header(0) capped at 3, 完了(2) 2+4-2=4, 進行中 🚧(4) 2+4-4=2, Pending(0) 3
+    // Status: max=1, base=0 → header 1, ✅ 0, 🚧 WIP 0, Todo 1
+    expect(countIdeographicSpaces(lines[0])).toBe(4);
+    expect(countIdeographicSpaces(lines[2])).toBe(4);
+    expect(countIdeographicSpaces(lines[3])).toBe(2);
+    expect(countIdeographicSpaces(lines[4])).toBe(4);
+  });
+
+  it("treats CJK-only tables like emoji tables", () => {
+    const input = `| Name     | Value |
+| -------- | ----- |
+| 名前     | Text  |`;
+
+    const lines = fixTableAlignment(input).split("\n");
+
+    // Name: max=2, base=1 → header 1+2-0=3 (5 trailing spaces → removes all, adds 3), 名前 1+2-2=1
+    expect(lines[0]).toBe(`| Name${IDEOGRAPHIC_SPACE.repeat(3)}| Value |`);
+    expect(lines[2]).toBe(`| 名前${IDEOGRAPHIC_SPACE}   | Text  |`);
+  });
+
+  it("compensates flags, family and skin-tone emoji once per grapheme", () => {
+    const input = `| Team     | Members   |
+| -------- | --------- |
+| 🇺🇦       | 👨‍👩‍👧         |
+| 🇵🇱 🇩🇪    | 👍🏽 👍🏿     |`;
+
+    const lines = fixTableAlignment(input).split("\n");
+
+    // Team: max=2, base=1 → header 1+2-0=3, 🇺🇦 row 1+2-1=2, 🇵🇱 🇩🇪 row 1+2-2=1
+    // Members: max=2, base=1 → header 3, 👨‍👩‍👧 row 2, 👍🏽 👍🏿 row 1
+    expect(countIdeographicSpaces(lines[0])).toBe(6);
+    expect(countIdeographicSpaces(lines[2])).toBe(4);
+    expect(countIdeographicSpaces(lines[3])).toBe(2);
+  });
+
   it("fixes a typical emoji status table", () => {
     // Header cell "Status  " has 2 trailing spaces → floor(2/2) = 1 ideographic space possible
     const input = `| Status  | Meaning     |
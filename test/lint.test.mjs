@@ -0,0 +1,117 @@
+import { describe, it, expect, afterEach } from "vitest";
+import fs from "node:fs";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { LINT_RULES, fixLintProblems, lintContent, lintFile, resolveLintRules } from "../lib/lint.mjs";
+import { fixTableAlignment } from "../lib/index.mjs";
+import { createTempDir, removeTempDirs } from "./helpers.mjs";
+
+afterEach(removeTempDirs);
+
+const binPath = fileURLToPath(new URL("../bin/fix-md-tables.mjs", import.meta.url));
+
+const brokenTable = `| A | B | C |
+| - | - |
+| 1 | 2 |
+| 1 | 2 | 3 | 4 |`;
+
+const emojiTable = `> | Status  | Meaning  |
+> | ------- | -------- |
+> | ✅      | Complete |`;
+
+/** Reduce diagnostics to "line:column rule" strings */
+function summarize(diagnostics) {
+  return diagnostics.map(({ line, column, rule }) => `${line}:${column} ${rule}`);
+}
+
+describe("resolveLintRules", () => {
+  it("applies severity overrides to the defaults", () => {
+    expect(resolveLintRules()).toEqual(Object.fromEntries(Object.entries(LINT_RULES).map(([id, rule]) => [id, rule.severity])));
+    expect(resolveLintRules({ "table-alignment": "off" })["table-alignment"]).toBe("off");
+    expect(() => resolveLintRules({ "no-such-rule": "off" })).toThrow("Unknown lint rule: no-such-rule");
+    expect(() => resolveLintRules({ "column-count": "fatal" })).toThrow("severity must be one of error, warning, off");
+  });
+});
+
+describe("lintContent", () => {
+  it("reports cell count problems with positions and severities", () => {
+    const diagnostics = lintContent(brokenTable);
+    expect(summarize(diagnostics)).toEqual(["2:1 separator-column-count", "3:10 column-count", "4:14 column-count"]);
+    expect(diagnostics[1]).toEqual({ rule: "column-count", severity: "error", line: 3, column: 10, message: "Row has 2 cell(s), the header has 3", fixable: true });
+    expect(diagnostics[2].fixable).toBe(false); // Extra cells hold data, so they are never dropped
+  });
+
+  it("reports misaligned tables at the first cell that needs compensation", () => {
+    expect(summarize(lintContent(emojiTable))).toEqual(["1:11 table-alignment"]);
+    expect(lintContent(fixTableAlignment(emojiTable))).toEqual([]);
+    expect(lintContent(emojiTable, { target: "terminal" })).toEqual([]);
+  });
+
+  it("reports ideographic spaces outside tables and code blocks", () => {
+    const content = "Some　text\n\n```\n| x　|\n```\n\n" + fixTableAlignment(emojiTable);
+    expect(summarize(lintContent(content))).toEqual(["1:5 stray-ideographic-space"]);
+  });
+
+  it("skips disabled rules and applies severity overrides", () => {
+    const diagnostics = lintContent(brokenTable, { rules: { "separator-column-count": "off", "column-count": "warning" } });
+    expect(diagnostics.map(({ rule, severity }) => `${rule} ${severity}`)).toEqual(["column-count warning", "column-count warning"]);
+  });
+});
+
+describe("fixLintProblems", () => {
+  it("pads missing cells and separator cells, and aligns emoji", () => {
+    expect(fixLintProblems(brokenTable)).toBe(`| A | B | C |
+| - | - | --- |
+| 1 | 2 |  |
+| 1 | 2 | 3 | 4 |`);
+    expect(fixLintProblems(emojiTable)).toBe(fixTableAlignment(emojiTable));
+    expect(fixLintProblems("a | b\n--- | ---\n1 |\n")).toBe("a | b\n--- | ---\n1 |  |\n");
+  });
+
+  it("only applies the fixes of enabled rules", () => {
+    expect(fixLintProblems(emojiTable, { rules: { "table-alignment": "off" } })).toBe(emojiTable);
+    expect(fixLintProblems(brokenTable, { rules: { "column-count": "off" } }).split("\n")[2]).toBe("| 1 | 2 |");
+  });
+});
+
+describe("lintFile", () => {
+  it("writes autofixes and returns the remaining diagnostics", () => {
+    const dir = createTempDir();
+    const filePath = path.join(dir, "a.md");
+    fs.writeFileSync(filePath, brokenTable);
+
+    expect(lintFile(filePath).fixed).toBe(false);
+    expect(fs.readFileSync(filePath, "utf8")).toBe(brokenTable);
+    const result = lintFile(filePath, { fix: true });
+    expect(result.fixed).toBe(true);
+    expect(summarize(result.diagnostics)).toEqual(["4:14 column-count"]);
+    expect(fs.readFileSync(filePath, "utf8")).toBe(fixLintProblems(brokenTable));
+    expect(lintFile(path.join(dir, "missing.md")).error).toMatch(/ENOENT/);
+  });
+
+  it("applies MDX rules to .mdx files only", () => {
+    const dir = createTempDir();
+    const content = `{ see below\n\n${brokenTable}\n`;
+    fs.writeFileSync(path.join(dir, "a.md"), content);
+    fs.writeFileSync(path.join(dir, "a.mdx"), content);
+    expect(lintFile(path.join(dir, "a.md")).diagnostics).not.toEqual([]);
+    expect(lintFile(path.join(dir, "a.mdx")).diagnostics).toEqual([]);
+  });
+});
+
+describe("CLI: --lint", () => {
+  it("prints file:line:column diagnostics and exits 1 on errors", () => {
+    const dir = createTempDir();
+    fs.writeFileSync(path.join(dir, "a.md"), brokenTable + "\n");
+
+    const result = spawnSync(process.execPath, [binPath, "--lint", "a.md"], { cwd: dir, encoding: "utf8" });
+    expect(result.status).toBe(1);
+    expect(result.stdout).toContain("  ✗ a.md:3:10 error: Row has 2 cell(s), the header has 3 (column-count)");
+    expect(result.stdout).toContain("  3 problem(s) (3 error(s), 0 warning(s)), 2 fixable with `fix-md-tables --lint --fix`.");
+
+    const warnOnly = spawnSync(process.execPath, [binPath, "--lint", "--rule", "column-count=warning,separator-column-count=off", "a.md"], { cwd: dir, encoding: "utf8" });
+    expect(warnOnly.status).toBe(0);
+    expect(warnOnly.stdout).toContain("  ⚠ a.md:3:10 warning:");
+  });
+});
@@ -0,0 +1,328 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { CODE_ACTIONS, computeTextEdits, createLanguageServer, createMessageReader, encodeMessage, getDiagnostics } from "../lib/lsp.mjs";
+import { IDEOGRAPHIC_SPACE, cleanTableAlignment, fixTableAlignment } from "../lib/index.mjs";
+import { createTempDir, removeTempDirs } from "./helpers.mjs";
+
+afterEach(removeTempDirs);
+
+const binPath = fileURLToPath(new URL("../bin/fix-md-tables-lsp.mjs", import.meta.url));
+const uri = "file:///workspace/README.md";
+
+const content = `# Title
+
+| Status | Name |
+| ------ | ---- |
+| ✅     | Done |
+| Todo   | Next |
+
+Text
+
+| Icon | Label |
+| ---- | ----- |
+| 🚀   | Ship  |
+`;
+
+/** Apply LSP text edits to content (edits must not overlap) */
+function applyEdits(text, edits) {
+  const lineStarts = [0];
+  for (const match of text.matchAll(/\r\n|\r|\n/g)) {
+    lineStarts.push(match.index + match[0].length);
+  }
+  const toOffset = ({ line, character }) => lineStarts[line] + character;
+  return [...edits]
+    .sort((a, b) => toOffset(b.range.start) - toOffset(a.range.start))
+    .reduce((result, { range, newText }) => result.slice(0, toOffset(range.start)) + newText + result.slice(toOffset(range.end)), text);
+}
+
+/** Scripted client for an in-process server: sends messages and records everything the server sends back */
+function createClient(options = {}) {
+  const received = [];
+  const server = createLanguageServer({ send: (message) => received.push(message), ...options });
+  let nextId = 1;
+  return {
+    received,
+    async request(method, params) {
+      const id = nextId++;
+      await server.handleMessage({ jsonrpc: "2.0", id, method, params });
+      return received.find((message) => message.id === id);
+    },
+    notify(method, params) {
+      return server.handleMessage({ jsonrpc: "2.0", method, params });
+    },
+  };
+}
+
+/** Create an in-process client with an initialized server and `content` open */
+async function openDocument(text = content) {
+  const client = createClient({ cwd: os.tmpdir() });
+  await client.request("initialize", { rootUri: null, capabilities: {} });
+  await client.notify("initialized", {});
+  await client.notify("textDocument/didOpen", { textDocument: { uri, languageId: "markdown", version: 1, text } });
+  return client;
+}
+
+describe("message framing", () => {
+  it("reads messages split across chunks and several messages in one chunk", () => {
+    const messages = [];
+    const read = createMessageReader((message) => messages.push(message));
+    const first = encodeMessage({ jsonrpc: "2.0", method: "a", params: { text: "✅ 名前" } });
+    const second = encodeMessage({ jsonrpc: "2.0", id: 1, result: null });
+    const bytes = Buffer.from(first + second + first);
+
+    // Split inside the header and inside a multi-byte character
+    read(bytes.subarray(0, 10));
+    read(bytes.subarray(10, 60));
+    read(bytes.subarray(60));
+
+    expect(messages).toEqual([
+      { jsonrpc: "2.0", method: "a", params: { text: "✅ 名前" } },
+      { jsonrpc: "2.0", id: 1, result: null },
+      { jsonrpc: "2.0", method: "a", params: { text: "✅ 名前" } },
+    ]);
+  });
+
+  it("reports invalid bodies and keeps reading", () => {
+    const messages = [];
+    const errors = [];
+    const read = createMessageReader(
+      (message) => messages.push(message),
+      (err) => errors.push(err),
+    );
+    read("Content-Length: 3\r\n\r\n{x}" + encodeMessage({ id: 2 }));
+    expect(errors).toHaveLength(1);
+    expect(messages).toEqual([{ id: 2 }]);
+  });
+});
+
+describe("computeTextEdits", () => {
+  it("replaces only the changed part of each changed row", () => {
+    const fixed = fixTableAlignment(content);
+    const edits = computeTextEdits(content, fixed);
+
+    // The headers and the plain row: padding before the pipe becomes an ideographic space
+    expect(edits).toEqual([
+      { range: { start: { line: 2, character: 8 }, end: { line: 2, character: 9 } }, newText: IDEOGRAPHIC_SPACE },
+      { range: { start: { line: 5, character: 6 }, end: { line: 5, character: 8 } }, newText: IDEOGRAPHIC_SPACE },
+      { range: { start: { line: 9, character: 6 }, end: { line: 9, character: 7 } }, newText: IDEOGRAPHIC_SPACE },
+    ]);
+    expect(applyEdits(content, edits)).toBe(fixed);
+  });
+
+  it("limits edits to the given lines", () => {
+    const edits = computeTextEdits(content, fixTableAlignment(content), new Set([9, 10, 11]));
+    expect(edits.map(({ range }) => range.start.line)).toEqual([9]);
+  });
+
+  it("keeps CRLF line endings and returns no edits for equal content", () => {
+    const crlf = content.replaceAll("\n", "\r\n");
+    const fixed = fixTableAlignment(crlf);
+    expect(applyEdits(crlf, computeTextEdits(crlf, fixed))).toBe(fixed);
+    expect(computeTextEdits(fixed, fixed)).toEqual([]);
+  });
+
+  it("does not split surrogate pairs", () => {
+    const [edit] = computeTextEdits("| 🎉 |", "| 🎊 |");
+    expect(edit).toEqual({ range: { start: { line: 0, character: 2 }, end: { line: 0, character: 4 } }, newText: "🎊" });
+  });
+
+  it("replaces the whole document if the line count changed", () => {
+    expect(computeTextEdits("a\nb", "a")).toEqual([{ range: { start: { line: 0, character: 0 }, end: { line: 1, character: 1 } }, newText: "a" }]);
+  });
+});
+
+describe("getDiagnostics", () => {
+  it("reports each misaligned table with its changed columns", () => {
+    expect(getDiagnostics(content)).toEqual([
+      {
+        range: { start: { line: 2, character: 0 }, end: { line: 5, character: 17 } },
+        severity: 2,
+        code: "table-alignment",
+        source: "fix-md-tables",
+        message: "Table is not aligned for emoji/wide characters (column 1)",
+      },
+      {
+        range: { start: { line: 9, character: 0 }, end: { line: 11, character: 16 } },
+        severity: 2,
+        code: "table-alignment",
+        source: "fix-md-tables",
+        message: "Table is not aligned for emoji/wide characters (column 1)",
+      },
+    ]);
+    expect(getDiagnostics(fixTableAlignment(content))).toEqual([]);
+  });
+});
+
+describe("createLanguageServer", () => {
+  it("publishes diagnostics on open and change, and clears them on close", async () => {
+    const client = await openDocument();
+    const published = () => client.received.filter((message) => message.method === "textDocument/publishDiagnostics");
+
+    expect(published().at(-1).params).toMatchObject({ uri, diagnostics: [{ range: { start: { line: 2 } } }, { range: { start: { line: 9 } } }] });
+
+    await client.notify("textDocument/didChange", { textDocument: { uri, version: 2 }, contentChanges: [{ text: fixTableAlignment(content) }] });
+    expect(published().at(-1).params).toEqual({ uri, diagnostics: [] });
+
+    await client.notify("textDocument/didClose", { textDocument: { uri } });
+    expect(published()).toHaveLength(3);
+    expect(published().at(-1).params).toEqual({ uri, diagnostics: [] });
+  });
+
+  it("formats the document and a range as minimal edits", async () => {
+    const client = await openDocument();
+
+    const formatting = await client.request("textDocument/formatting", { textDocument: { uri }, options: { tabSize: 2, insertSpaces: true } });
+    expect(applyEdits(content, formatting.result)).toBe(fixTableAlignment(content));
+
+    // A range inside the second table formats that whole table only
+    const range = { start: { line: 11, character: 0 }, end: { line: 11, character: 3 } };
+    const rangeFormatting = await client.request("textDocument/rangeFormatting", { textDocument: { uri }, range, options: {} });
+    expect(rangeFormatting.result.map((edit) => edit.range.start.line)).toEqual([9]);
+  });
+
+  it("offers fix and clean code actions for the tables in range", async () => {
+    const client = await openDocument();
+    const range = { start: { line: 3, character: 0 }, end: { line: 3, character: 0 } };
+    const diagnostics = getDiagnostics(content);
+
+    const response = await client.request("textDocument/codeAction", { textDocument: { uri }, range, context: { diagnostics } });
+    expect(response.result).toHaveLength(1);
+    const [fix] = response.result;
+    expect(fix).toMatchObject({ title: CODE_ACTIONS.fix.title, kind: "quickfix", isPreferred: true, diagnostics });
+    expect(fix.edit.changes[uri].map((edit) => edit.range.start.line)).toEqual([2, 5]);
+
+    // Once fixed, only removing the ideographic spaces is offered
+    const fixed = fixTableAlignment(content);
+    await client.notify("textDocument/didChange", { textDocument: { uri, version: 2 }, contentChanges: [{ text: fixed }] });
+    const cleanResponse = await client.request("textDocument/codeAction", { textDocument: { uri }, range, context: { diagnostics: [] } });
+    expect(cleanResponse.result.map((action) => action.title)).toEqual([CODE_ACTIONS.clean.title]);
+    const cleaned = applyEdits(fixed, cleanResponse.result[0].edit.changes[uri]);
+    // The first table is cleaned, the second (outside the range) is untouched
+    expect(cleaned.split("\n").slice(0, 9)).toEqual(cleanTableAlignment(fixed).split("\n").slice(0, 9));
+    expect(cleaned.split("\n").slice(9)).toEqual(fixed.split("\n").slice(9));
+
+    const onlyRefactor = await client.request("textDocument/codeAction", { textDocument: { uri }, range, context: { diagnostics: [], only: ["refactor"] } });
+    expect(onlyRefactor.result).toHaveLength(1);
+  });
+
+  it("applies MDX rules to .mdx documents only", async () => {
+    const client = await openDocument(`{ see below\n\n${content}`);
+    const mdxUri = "file:///workspace/page.mdx";
+    await client.notify("textDocument/didOpen", { textDocument: { uri: mdxUri, languageId: "mdx", version: 1, text: `{ see below\n\n${content}` } });
+    const [md, mdx] = client.received.filter((message) => message.method === "textDocument/publishDiagnostics");
+    expect(md.params.diagnostics).toHaveLength(2);
+    expect(mdx.params).toEqual({ uri: mdxUri, diagnostics: [] });
+  });
+
+  it("uses the project configuration from the workspace root", async () => {
+    const dir = createTempDir();
+    fs.writeFileSync(path.join(dir, ".fixmdtablesrc"), JSON.stringify({ target: "github" }));
+    const client = createClient();
+    await client.request("initialize", { rootUri: pathToFileURL(dir).href, capabilities: {} });
+    await client.notify("textDocument/didOpen", { textDocument: { uri, languageId: "markdown", version: 1, text: content } });
+
+    const formatting = await client.request("textDocument/formatting", { textDocument: { uri }, options: {} });
+    expect(applyEdits(content, formatting.result)).toBe(fixTableAlignment(content, { target: "github" }));
+  });
+
+  it("answers errors for unknown methods, unopened documents and requests before initialize", async () => {
+    const client = createClient();
+    expect((await client.request("textDocument/formatting", { textDocument: { uri } })).error.code).toBe(-32002);
+
+    await client.request("initialize", { capabilities: {} });
+    expect((await client.request("textDocument/hover", {})).error.code).toBe(-32601);
+    expect((await client.request("textDocument/formatting", { textDocument: { uri: "file:///other.md" } })).error).toEqual({ code: -32602, message: "Document is not open: file:///other.md" });
+  });
+
+  it("rejects messages that are not objects and keeps serving", async () => {
+    const received = [];
+    const server = createLanguageServer({ send: (message) => received.push(message) });
+    for (const message of [null, [], 4, "text"]) {
+      await server.handleMessage(message);
+    }
+    expect(received).toEqual(Array(4).fill({ jsonrpc: "2.0", id: null, error: { code: -32600, message: "Message must be a JSON object" } }));
+    await server.handleMessage({ jsonrpc: "2.0", id: 1, method: "initialize", params: { capabilities: {} } });
+    expect(received.at(-1)).toMatchObject({ id: 1, result: { serverInfo: { name: "fix-md-tables" } } });
+  });
+
+  it("keeps handling messages after a handler throws", async () => {
+    const received = [];
+    let failures = 1;
+    const server = createLanguageServer({
+      send(message) {
+        if (failures-- > 0) {
+          throw new Error("write failed");
+        }
+        received.push(message);
+      },
+    });
+    await server.handleMessage({ jsonrpc: "2.0", id: 1, method: "initialize", params: { capabilities: {} } });
+    expect(received).toEqual([{ jsonrpc: "2.0", method: "window/logMessage", params: { type: 1, message: "fix-md-tables: write failed" } }]);
+    await server.handleMessage({ jsonrpc: "2.0", id: 2, method: "shutdown" });
+    expect(received.at(-1)).toEqual({ jsonrpc: "2.0", id: 2, result: null });
+  });
+
+  it("exits with 0 after shutdown and 1 without", async () => {
+    const codes = [];
+    const client = createClient({ onExit: (code) => codes.push(code) });
+    await client.notify("exit");
+    await client.request("initialize", { capabilities: {} });
+    await client.request("shutdown");
+    await client.notify("exit");
+    expect(codes).toEqual([1, 0]);
+  });
+});
+
+describe("fix-md-tables-lsp", () => {
+  let child;
+
+  afterEach(() => {
+    child?.kill();
+  });
+
+  it("serves a full session over stdio", async () => {
+    child = spawn(process.execPath, [binPath], { stdio: ["pipe", "pipe", "inherit"] });
+    const messages = [];
+    let waiting = null;
+    child.stdout.on(
+      "data",
+      createMessageReader((message) => {
+        messages.push(message);
+        waiting?.();
+      }),
+    );
+    const exited = new Promise((resolve) => child.on("exit", resolve));
+
+    /** Send a message and wait until the server sent one matching `predicate` */
+    async function send(message, predicate) {
+      child.stdin.write(encodeMessage(message));
+      while (predicate && !messages.some(predicate)) {
+        await new Promise((resolve) => (waiting = resolve));
+      }
+      return predicate && messages.find(predicate);
+    }
+
+    const initialize = await send({ jsonrpc: "2.0", id: 1, method: "initialize", params: { processId: null, rootUri: null, capabilities: {} } }, (message) => message.id === 1);
+    expect(initialize.result.capabilities).toMatchObject({ documentFormattingProvider: true, documentRangeFormattingProvider: true });
+    expect(initialize.result.serverInfo.name).toBe("fix-md-tables");
+
+    child.stdin.write("Content-Length: 4\r\n\r\nnull");
+    await send({ jsonrpc: "2.0", method: "initialized", params: {} }, (message) => message.id === null);
+    const diagnostics = await send(
+      { jsonrpc: "2.0", method: "textDocument/didOpen", params: { textDocument: { uri, languageId: "markdown", version: 1, text: content } } },
+      (message) => message.method === "textDocument/publishDiagnostics",
+    );
+    expect(diagnostics.params.diagnostics).toHaveLength(2);
+
+    const formatting = await send({ jsonrpc: "2.0", id: 2, method: "textDocument/formatting", params: { textDocument: { uri }, options: {} } }, (message) => message.id === 2);
+    expect(applyEdits(content, formatting.result)).toBe(fixTableAlignment(content));
+
+    await send({ jsonrpc: "2.0", id: 3, method: "shutdown" }, (message) => message.id === 3);
+    await send({ jsonrpc: "2.0", method: "exit" });
+    expect(await exited).toBe(0);
+  });
+});
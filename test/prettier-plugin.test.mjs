@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import * as prettier from "prettier";
+import plugin from "../lib/prettier-plugin.mjs";
+import { IDEOGRAPHIC_SPACE, cleanTableAlignment, fixTableAlignment } from "../lib/index.mjs";
+
+/** Format markdown with the plugin enabled */
+function format(source, options = {}) {
+  return prettier.format(source, { parser: "markdown", plugins: [plugin], ...options });
+}
+
+const messyTable = `# Status
+
+| Status | Description |
+|-|-|
+| ✅ | ✅ Complete |
+| 🚧 | 🚧 In Progress |
+`;
+
+describe("prettier plugin", () => {
+  it("produces aligned tables in a single prettier run", async () => {
+    const result = await format(messyTable);
+
+    // Same as the manual workflow: Prettier, then fix-md-tables
+    const manual = fixTableAlignment(await prettier.format(messyTable, { parser: "markdown" }));
+    expect(result).toBe(manual);
+    expect(result).toContain(`| Status${IDEOGRAPHIC_SPACE}|`);
+  });
+
+  it("is stable when re-formatting its own output", async () => {
+    const once = await format(messyTable);
+    expect(await format(once)).toBe(once);
+  });
+
+  it("strips existing ideographic spaces before Prettier pads cells", async () => {
+    const misaligned = `| Status${IDEOGRAPHIC_SPACE}${IDEOGRAPHIC_SPACE}${IDEOGRAPHIC_SPACE} | Description |
+| --- | --- |
+| ✅ | ✅ Complete |
+`;
+
+    const result = await format(misaligned);
+    expect(result).toBe(fixTableAlignment(await prettier.format(cleanTableAlignment(misaligned), { parser: "markdown" })));
+  });
+
+  it("wraps the mdx parser", async () => {
+    const result = await format(messyTable, { parser: "mdx" });
+    expect(result).toBe(await format(messyTable));
+  });
+
+  it("infers the parser from .md and .mdx file paths", async () => {
+    const expected = await format(messyTable);
+    expect(await prettier.format(messyTable, { filepath: "docs/page.md", plugins: [plugin] })).toBe(expected);
+    expect(await prettier.format(messyTable, { filepath: "docs/page.mdx", plugins: [plugin] })).toBe(expected);
+  });
+
+  it("leaves tables in code blocks and non-table content alone", async () => {
+    const source = `Text with ${IDEOGRAPHIC_SPACE} space.
+
+\`\`\`markdown
+| A${IDEOGRAPHIC_SPACE} | B |
+| - | - |
+| 🌟 | X |
+\`\`\`
+`;
+
+    expect(await format(source)).toBe(await prettier.format(source, { parser: "markdown" }));
+  });
+
+  it("treats a line starting with { as a paragraph with the markdown parser", async () => {
+    expect(await format(`{ see below\n\n${messyTable}`)).toContain(`| Status${IDEOGRAPHIC_SPACE}|`);
+  });
+
+  it("passes prettier.check on its own output", async () => {
+    const once = await format(messyTable);
+    expect(await prettier.check(once, { parser: "markdown", plugins: [plugin] })).toBe(true);
+  });
+
+  it("writes CRLF line endings once with endOfLine crlf", async () => {
+    const result = await format(messyTable, { endOfLine: "crlf" });
+    expect(result).not.toContain("\r\r");
+    expect(result).toBe((await format(messyTable)).replaceAll("\n", "\r\n"));
+  });
+
+  it("keeps the line endings of a CRLF document with endOfLine auto", async () => {
+    const crlf = messyTable.replaceAll("\n", "\r\n");
+    const result = await format(crlf, { endOfLine: "auto" });
+    expect(result).not.toContain("\r\r");
+    expect(result).toBe((await format(messyTable)).replaceAll("\n", "\r\n"));
+  });
+});
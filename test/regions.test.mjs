@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { findSkippedLines, getFrontMatterLength, getIndentWidth, isCodeFenceEnd, isCodeFenceStart } from "../lib/regions.mjs";
+import { fixTableAlignment, getMarkdownSyntax } from "../lib/index.mjs";
+
+/** Return the indexes of skipped lines in content */
+function skippedIndexes(content, options) {
+  return findSkippedLines(content.split("\n"), options).flatMap((skipped, idx) => (skipped ? [idx] : []));
+}
+
+describe("isCodeFenceStart / isCodeFenceEnd", () => {
+  it("recognizes backtick and tilde fences", () => {
+    expect(isCodeFenceStart("```js")).toBe(true);
+    expect(isCodeFenceStart("  ~~~")).toBe(true);
+    expect(isCodeFenceStart("``")).toBe(false);
+    expect(isCodeFenceEnd("````  ", "````")).toBe(true);
+    expect(isCodeFenceEnd("```js", "```")).toBe(false);
+  });
+});
+
+describe("getIndentWidth", () => {
+  it("counts spaces and expands tabs to multiples of 4", () => {
+    expect(getIndentWidth("  a")).toBe(2);
+    expect(getIndentWidth("\ta")).toBe(4);
+    expect(getIndentWidth("  \ta")).toBe(4);
+    expect(getIndentWidth("")).toBe(0);
+  });
+});
+
+describe("getFrontMatterLength", () => {
+  it("finds YAML and TOML front matter at the start only", () => {
+    expect(getFrontMatterLength(["---", "a: 1", "---", "text"])).toBe(3);
+    expect(getFrontMatterLength(["---", "a: 1", "...", "text"])).toBe(3);
+    expect(getFrontMatterLength(["+++", "a = 1", "+++"])).toBe(3);
+    expect(getFrontMatterLength(["text", "---", "a", "---"])).toBe(0);
+    expect(getFrontMatterLength(["---", "never closed"])).toBe(0);
+  });
+});
+
+describe("findSkippedLines", () => {
+  it("skips fenced code including its fences", () => {
+    expect(skippedIndexes("a\n```\n| x |\n```\nb")).toEqual([1, 2, 3]);
+  });
+
+  it("skips indented code only where it can start", () => {
+    expect(skippedIndexes("a\n\n    code\n\n    more\nb")).toEqual([2, 3, 4]);
+    expect(skippedIndexes("paragraph\n    continuation")).toEqual([]);
+    expect(skippedIndexes("- item\n\n    list text\n\n      code")).toEqual([4]);
+  });
+
+  it("ends HTML blocks at their end marker or a blank line", () => {
+    expect(skippedIndexes("<!-- a -->\nb")).toEqual([0]);
+    expect(skippedIndexes("<pre>\n\nx\n</pre>\nb")).toEqual([0, 1, 2, 3]);
+    expect(skippedIndexes("<div>\nx\n\nb")).toEqual([0, 1, 2]);
+    expect(skippedIndexes("text\n<span>\nb")).toEqual([]); // A lone tag can't interrupt a paragraph
+  });
+
+  it("skips MDX ESM until a blank line outside brackets and templates", () => {
+    expect(skippedIndexes("import a from 'a'\nimport b from 'b'\n\ntext")).toEqual([0, 1, 2]);
+    expect(skippedIndexes("export const a = `\n\n| x |\n`;\n\ntext")).toEqual([0, 1, 2, 3, 4]);
+    expect(skippedIndexes("Import settings first.\n\ntext")).toEqual([]);
+  });
+
+  it("skips JSX tags and expressions until they close, but not their children", () => {
+    expect(skippedIndexes("<Callout>\n| x |\n</Callout>")).toEqual([0, 2]);
+    expect(skippedIndexes("<Table\n  rows={[\n    1,\n  ]}\n/>\ntext")).toEqual([0, 1, 2, 3, 4]);
+    expect(skippedIndexes("{/* a\nb */}\ntext")).toEqual([0, 1]);
+  });
+
+  it("treats ESM, JSX and expression lines as paragraphs in plain markdown", () => {
+    const md = { syntax: "md" };
+    expect(skippedIndexes("{ see below\n\n| x |", md)).toEqual([]);
+    expect(skippedIndexes("<Foo is a placeholder\n\n| x |", md)).toEqual([]);
+    expect(skippedIndexes("export the report (as CSV\n\n| x |", md)).toEqual([]);
+    // HTML blocks are CommonMark and still apply
+    expect(skippedIndexes("<div>\nx\n\nb", md)).toEqual([0, 1, 2]);
+  });
+});
+
+describe("fixtures: tables inside non-markdown regions are left alone", () => {
+  const fixturesDir = fileURLToPath(new URL("fixtures/regions/", import.meta.url));
+  const inputs = fs.readdirSync(fixturesDir).filter((name) => !name.includes(".expected."));
+
+  it.each(inputs)("%s", (name) => {
+    const input = fs.readFileSync(fixturesDir + name, "utf8");
+    const expected = fs.readFileSync(fixturesDir + name.replace(/\.(mdx?)$/, ".expected.$1"), "utf8");
+    expect(fixTableAlignment(input, { syntax: getMarkdownSyntax(name) })).toBe(expected);
+  });
+});
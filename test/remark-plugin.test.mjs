@@ -0,0 +1,107 @@
+import { describe, it, expect } from "vitest";
+import { remark } from "remark";
+import remarkGfm from "remark-gfm";
+import remarkMdx from "remark-mdx";
+import { remarkFixMdTables, getTableSourceRows } from "../lib/remark-plugin.mjs";
+import { IDEOGRAPHIC_SPACE, fixTableAlignment } from "../lib/index.mjs";
+
+/** Run markdown through remark + remark-gfm + the plugin */
+async function processMarkdown(source, plugins = []) {
+  const file = await remark().use(plugins).use(remarkGfm).use(remarkFixMdTables).process(source);
+  return String(file);
+}
+
+const statusTable = `| Status | Description    |
+| ------ | -------------- |
+| ✅     | ✅ Complete    |
+| 🚧     | 🚧 In Progress |
+`;
+
+describe("remarkFixMdTables", () => {
+  it("applies the same compensation as fixTableAlignment", async () => {
+    const result = await processMarkdown(statusTable);
+    expect(result).toBe(fixTableAlignment(statusTable));
+  });
+
+  it("works with remark-mdx", async () => {
+    const result = await processMarkdown(statusTable, [remarkMdx]);
+    expect(result).toBe(fixTableAlignment(statusTable));
+  });
+
+  it("re-compensates tables that already contain ideographic spaces", async () => {
+    const fixed = fixTableAlignment(statusTable);
+    expect(await processMarkdown(fixed)).toBe(fixed);
+  });
+
+  it("handles tables nested in blockquotes and list items", async () => {
+    const source = `> | A   | B |
+> | --- | - |
+> | 🌟  | X |
+
+* item
+
+  | A   | B |
+  | --- | - |
+  | 🌟  | X |
+`;
+
+    const result = await processMarkdown(source);
+    expect(result).toContain(`> | A${IDEOGRAPHIC_SPACE} | B |`);
+    expect(result).toContain(`  | A${IDEOGRAPHIC_SPACE} | B |`);
+  });
+
+  it("keeps tables without outer pipes in their source style", async () => {
+    const source = `Status   | Meaning
+-------- | -------
+✅       | Done
+`;
+
+    expect(await processMarkdown(source)).toBe(fixTableAlignment(source));
+  });
+
+  it("keeps the source layout of tables and leaves other content to remark-stringify", async () => {
+    const source = `# Title
+
+Some *text*.
+
+| A | B |
+| - | - |
+| X | Y |
+`;
+
+    expect(await processMarkdown(source)).toBe(source);
+  });
+
+  it("compensates generated tables without positions", async () => {
+    const processor = remark().use(remarkGfm).use(remarkFixMdTables);
+    const cell = (value) => ({ type: "tableCell", children: [{ type: "text", value }] });
+    const tree = {
+      type: "root",
+      children: [
+        {
+          type: "table",
+          align: [null, null],
+          children: [
+            { type: "tableRow", children: [cell("Status"), cell("Name")] },
+            { type: "tableRow", children: [cell("✅"), cell("Done")] },
+          ],
+        },
+      ],
+    };
+
+    const result = processor.stringify(await processor.run(tree));
+    expect(result).toBe(`| Status${IDEOGRAPHIC_SPACE}| Name |\n| ------ | ---- |\n| ✅      | Done |\n`);
+  });
+});
+
+describe("getTableSourceRows", () => {
+  it("strips container prefixes using the table's start column", () => {
+    const source = "> | A | B |\n> | - | - |";
+    const node = { position: { start: { line: 1, column: 3, offset: 2 }, end: { line: 2, column: 12, offset: 23 } } };
+    expect(getTableSourceRows(node, source)).toEqual(["| A | B |", "| - | - |"]);
+  });
+
+  it("returns null without positions", () => {
+    expect(getTableSourceRows({}, "| A |")).toBe(null);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { REPORTERS, formatReport } from "../lib/reporters.mjs";
+
+const report = {
+  mode: "fix",
+  check: true,
+  files: [
+    {
+      file: "docs/a, b.md",
+      changed: true,
+      written: false,
+      tables: [
+        { startLine: 3, endLine: 6, changed: true, columns: [1, 3] },
+        { startLine: 9, endLine: 11, changed: false, columns: [] },
+      ],
+      error: null,
+    },
+    { file: "clean.md", changed: false, written: false, tables: [], error: null },
+    { file: "missing.md", changed: false, written: false, tables: [], error: "ENOENT: no such file" },
+  ],
+};
+
+describe("formatReport", () => {
+  it("lists the reporters", () => {
+    expect(Object.keys(REPORTERS)).toEqual(["json", "github", "sarif"]);
+    expect(() => formatReport("xml", report)).toThrow("Unknown reporter: xml");
+  });
+
+  it("json: includes a summary and per-table results", () => {
+    const json = JSON.parse(formatReport("json", report));
+    expect(json.summary).toEqual({ files: 3, changed: 1, errors: 1 });
+    expect(json.files[0].tables[0]).toEqual({ startLine: 3, endLine: 6, changed: true, columns: [1, 3] });
+    expect(json.files[2].error).toBe("ENOENT: no such file");
+  });
+
+  it("github: emits escaped warning annotations for changed tables and errors", () => {
+    expect(formatReport("github", report)).toBe(
+      "::warning file=docs/a%2C b.md,line=3,endLine=6,title=fix-md-tables::Table needs fixing (columns 1, 3)\n" + "::error file=missing.md,title=fix-md-tables::ENOENT: no such file\n",
+    );
+  });
+
+  it("github: emits notices for tables changed outside check mode", () => {
+    const output = formatReport("github", { ...report, check: false, mode: "format", files: [report.files[0]] });
+    expect(output).toBe("::notice file=docs/a%2C b.md,line=3,endLine=6,title=fix-md-tables::Table formatted (columns 1, 3)\n");
+  });
+
+  it("sarif: produces a SARIF 2.1.0 log with regions and notifications", () => {
+    const sarif = JSON.parse(formatReport("sarif", report));
+    expect(sarif.version).toBe("2.1.0");
+    const [run] = sarif.runs;
+    expect(run.tool.driver.name).toBe("fix-md-tables");
+    expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual(["table-alignment"]);
+    expect(run.results).toHaveLength(1);
+    expect(run.results[0]).toMatchObject({
+      ruleId: "table-alignment",
+      level: "warning",
+      message: { text: "Table needs fixing (columns 1, 3)" },
+      locations: [{ physicalLocation: { artifactLocation: { uri: "docs/a, b.md" }, region: { startLine: 3, endLine: 6 } } }],
+    });
+    expect(run.invocations[0].executionSuccessful).toBe(false);
+    expect(run.invocations[0].toolExecutionNotifications[0].message.text).toBe("ENOENT: no such file");
+  });
+});
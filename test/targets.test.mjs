@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_TARGET, STRATEGIES, TARGETS, TARGET_NAMES, resolveTarget } from "../lib/targets.mjs";
+
+const compensationOptions = { baseCompensation: 2, capPlainCells: true, emojiWidth: 2, ideographicSpaceWidth: 2 };
+
+describe("STRATEGIES", () => {
+  it("base-offset adds a capped base on top of the difference", () => {
+    expect(STRATEGIES["base-offset"](1, 1, compensationOptions)).toBe(0);
+    expect(STRATEGIES["base-offset"](2, 0, compensationOptions)).toBe(3);
+    expect(STRATEGIES["base-offset"](3, 3, compensationOptions)).toBe(2);
+    expect(STRATEGIES["base-offset"](4, 0, compensationOptions)).toBe(3); // Capped at max - 1
+    expect(STRATEGIES["base-offset"](4, 0, { ...compensationOptions, capPlainCells: false })).toBe(6);
+  });
+
+  it("base-offset scales by emojiWidth / ideographicSpaceWidth", () => {
+    expect(STRATEGIES["base-offset"](2, 0, { ...compensationOptions, emojiWidth: 3 })).toBe(5); // 3 × 3 / 2, rounded
+    expect(STRATEGIES["base-offset"](3, 3, { ...compensationOptions, ideographicSpaceWidth: 4 })).toBe(1);
+  });
+
+  it("difference fills the missing width in U+3000 widths", () => {
+    expect(STRATEGIES.difference(3, 1, compensationOptions)).toBe(2);
+    expect(STRATEGIES.difference(3, 3, compensationOptions)).toBe(0);
+    expect(STRATEGIES.difference(2, 0, { ...compensationOptions, emojiWidth: 3 })).toBe(3);
+  });
+
+  it("none never compensates", () => {
+    expect(STRATEGIES.none(5, 0, compensationOptions)).toBe(0);
+  });
+});
+
+describe("resolveTarget", () => {
+  it("resolves built-in profiles with their strategy", () => {
+    expect(DEFAULT_TARGET).toBe("vscode");
+    expect(TARGET_NAMES).toEqual(["vscode", "github", "terminal", "custom"]);
+    expect(resolveTarget()).toMatchObject({ name: "vscode", ...TARGETS.vscode, compensate: STRATEGIES["base-offset"] });
+    expect(resolveTarget("github").compensate).toBe(STRATEGIES.difference);
+    expect(resolveTarget("terminal").compensate).toBe(STRATEGIES.none);
+    for (const profile of Object.values(TARGETS)) {
+      expect(profile).toMatchObject({ emojiWidth: 2, ideographicSpaceWidth: 2 });
+    }
+  });
+
+  it("merges customTarget over the default profile", () => {
+    const target = resolveTarget("custom", { strategy: "difference", emojiWidth: 3 });
+    expect(target).toMatchObject({ name: "custom", emojiWidth: 3, ideographicSpaceWidth: 2, compensate: STRATEGIES.difference });
+  });
+
+  it("accepts profile objects with their own compensate function", () => {
+    const compensate = () => 1;
+    expect(resolveTarget({ compensate })).toMatchObject({ ...TARGETS.vscode, compensate });
+    const resolved = resolveTarget("github");
+    expect(resolveTarget(resolved)).toBe(resolved);
+  });
+
+  it("rejects unknown targets and strategies", () => {
+    expect(() => resolveTarget("notepad")).toThrow("Unknown target: notepad");
+    expect(() => resolveTarget("custom", { strategy: "magic" })).toThrow("Unknown compensation strategy: magic");
+  });
+});
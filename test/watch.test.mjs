@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createWatcher } from "../lib/watch.mjs";
+
+/** Wait for the given number of milliseconds */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("createWatcher", () => {
+  let dir;
+  let watcher;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "fix-md-tables-watch-"));
+  });
+
+  afterEach(() => {
+    watcher?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("debounces rapid changes into a single call", async () => {
+    const calls = [];
+    watcher = createWatcher([dir], (paths) => calls.push(paths), { debounce: 100 });
+    const filePath = path.join(dir, "a.md");
+
+    fs.writeFileSync(filePath, "one");
+    await sleep(20);
+    fs.writeFileSync(filePath, "two");
+    await sleep(400);
+
+    expect(calls).toEqual([[filePath]]);
+  });
+
+  it("only reports paths accepted by the filter", async () => {
+    const calls = [];
+    watcher = createWatcher([dir], (paths) => calls.push(paths), { debounce: 50, filter: (filePath) => filePath.endsWith(".md") });
+
+    fs.writeFileSync(path.join(dir, "image.png"), "");
+    fs.writeFileSync(path.join(dir, "b.md"), "");
+    await sleep(300);
+
+    expect(calls).toEqual([[path.join(dir, "b.md")]]);
+  });
+
+  it("ignores events caused by its own writes", async () => {
+    const calls = [];
+    const filePath = path.join(dir, "a.md");
+    watcher = createWatcher([dir], (paths) => calls.push(paths), { debounce: 50 });
+
+    watcher.ignoreWrite(filePath, "fixed");
+    fs.writeFileSync(filePath, "fixed");
+    await sleep(300);
+    expect(calls).toEqual([]);
+
+    // A later edit by someone else is reported again
+    fs.writeFileSync(filePath, "edited");
+    await sleep(300);
+    expect(calls).toEqual([[filePath]]);
+  });
+});